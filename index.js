@@ -5,20 +5,129 @@
  * @license MIT
  * @copyright meezwhite
  */
+
+/**
+ * TypeError with a stable error `code`, thrown or logged by OpString.
+ */
+export class OpStringTypeError extends TypeError {
+    /**
+     * @param {string} message - The error message.
+     * @param {string} code - The stable error code, e.g. 'OPSTRING_INVALID_ARGUMENT'.
+     */
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+/**
+ * SyntaxError with a stable error `code`, thrown or logged by OpString.
+ */
+export class OpStringSyntaxError extends SyntaxError {
+    /**
+     * @param {string} message - The error message.
+     * @param {string} code - The stable error code, e.g. 'OPSTRING_INVALID_SYMBOL'.
+     */
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+/**
+ * RangeError with a stable error `code`, thrown or logged by OpString.
+ */
+export class OpStringRangeError extends RangeError {
+    /**
+     * @param {string} message - The error message.
+     * @param {string} code - The stable error code, e.g. 'OPSTRING_MAX_LENGTH'.
+     */
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+/**
+ * ReferenceError with a stable error `code`, thrown or logged by OpString.
+ */
+export class OpStringReferenceError extends ReferenceError {
+    /**
+     * @param {string} message - The error message.
+     * @param {string} code - The stable error code, e.g. 'OPSTRING_UNKNOWN_ID'.
+     */
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
 export default class OpString {
     version = '0.5.1';
 
     #sequence = '';
     #sequenceData = [];
     #operations = {};
+    #arities = {};
+    #params = {};
+    #paramTypes = {
+        any: value => value !== undefined,
+        number: value => typeof value === 'number' && ! Number.isNaN(value),
+        integer: value => Number.isInteger(value),
+        string: value => typeof value === 'string',
+        boolean: value => typeof value === 'boolean',
+        array: value => Array.isArray(value),
+        object: value => this.#isPlainObject(value),
+    };
     #values = {};
     #labels = {};
     #maxSequenceLength;
     #ignoreWarnings = false;
     #strictMode = false;
+    #codePointMode = false;
+    #literals;
+    #controlSymbols;
+    #tokens;
+    #controlTypes = ['repeat', 'define', 'condition', 'end'];
+    #maxExpandedLength = 1000000;
+    #symbolAlphabet = 'printable';
+    #symbolAlphabets = ['printable', 'urlSafe', 'bmp'];
+    #mutationKinds = ['replaceValue', 'replaceOp', 'insert', 'delete', 'swap'];
+    #defaultLiterals = {
+        prefix: '#',
+        terminator: ';',
+        alphabet: '0123456789abcdefghijklmnopqrstuvwxyz',
+    };
+
+    #logger = console;
+    #onError;
+    #errorMode = 'log';
+    #errorModes = ['log', 'throw'];
+    #diagnostics = [];
+    #keptDiagnosticsDepth = 0;
 
     #nextId = 1;
 
+    #history = [];
+    #future = [];
+    #historyDepth = 0;
+    #batchDepth = 0;
+    #pendingChange;
+
+    #listeners = {};
+    #eventNames = [
+        'change',
+        'append',
+        'insert',
+        'remove',
+        'update',
+        'move',
+        'sequence',
+        'operationRegistered',
+        'valueRegistered',
+        'execute',
+    ];
+
     #symbolTypeInvalid = 0;
     #symbolTypeString = 1;
     #symbolTypeInteger = 2;
@@ -26,14 +135,29 @@ export default class OpString {
     #minCharCode = 0;
     #maxCharCode = 65535;
 
+    #encodingVersion = 1;
+    #schemaVersion = 1;
+    #base64UrlAlphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+    #assemblyIdentifierPattern = /^[A-Za-z_$][\w$]*$/;
+
     #validConfigKeys = [
         'sequence',
         'operations',
         'values',
         'labels',
+        'paramTypes',
         'maxSequenceLength',
         'ignoreWarnings',
         'strictMode',
+        'codePointMode',
+        'literals',
+        'controlSymbols',
+        'symbolAlphabet',
+        'historyDepth',
+        'logger',
+        'onError',
+        'errorMode',
     ];
 
     /**
@@ -50,6 +174,9 @@ export default class OpString {
      *      registered. (default: {})
      * @param {Object} [config.labels] - Object containing the label mappings to be
      *      registered. (default: {})
+     * @param {Object} [config.paramTypes] - Object mapping custom parameter type names to
+     *      functions checking whether a value is of the respective type. (see `registerParamType`)
+     *      (default: {})
      * @param {number} [config.maxSequenceLength] - Specifies a maximum allowed sequence length.
      *      If defined, it must be a positive safe integer. (default: undefined)
      * @param {boolean} [config.ignoreWarnings] - Specifies whether warnings should be ignored.
@@ -58,8 +185,70 @@ export default class OpString {
      *      errors. If set to `true`, errors will be logged; otherwise, warnings will be logged.
      *      Furthermore, if set to `true` the `maxSequenceLength` must strictly be adhered to,
      *      otherwise, the respective character sequence will not be set/executed. (default: false)
+     * @param {boolean} [config.codePointMode] - Specifies whether symbols should be handled as
+     *      Unicode code points instead of UTF-16 code units. If set to `true`, symbols beyond the
+     *      Basic Multilingual Plane (e.g. emoji) can be used and are represented by code points
+     *      within the range of 0 and 1114111 (0x10FFFF). Sequence lengths are measured in code
+     *      points. (default: false)
+     * @param {Object} [config.literals] - Enables inline numeric literals, i.e. numbers written
+     *      directly in the sequence as the `prefix`, an optional minus sign, the digits of the
+     *      number in the base of the `alphabet`, an optional radix point followed by fractional
+     *      digits, and the `terminator` (e.g. '#2a;' for 42). If enabled, literals can be passed as
+     *      values to `append`, `insert`, `prepend` and `update` either as string (e.g. '#2a;') or
+     *      as object with the number as `literal` property (e.g. `{ literal: 42 }`), whereas
+     *      numbers are still handled as character codes. (default: undefined)
+     * @param {string} [config.literals.prefix] - The prefix of a literal. (default: '#')
+     * @param {string} [config.literals.terminator] - The terminator of a literal. (default: ';')
+     * @param {string} [config.literals.alphabet] - The digits of a literal, which may not contain
+     *      the prefix, the terminator, '-' or '.'. (default: '0123456789abcdefghijklmnopqrstuvwxyz')
+     * @param {Object} [config.controlSymbols] - Enables control-flow blocks, i.e. blocks starting
+     *      with a control symbol followed by an argument symbol, and closed by the `end` symbol.
+     *      Repeat blocks execute their operations as many times as the value of the argument,
+     *      define blocks define a macro named by the argument, which is invoked by using the
+     *      argument as operation symbol afterwards, and condition blocks execute their operations
+     *      only if the flag named by the argument is truthy in the `flags` option of `execute`.
+     *      (default: undefined)
+     * @param {string} [config.controlSymbols.repeat] - The character starting a repeat block.
+     * @param {string} [config.controlSymbols.define] - The character starting a define block.
+     * @param {string} [config.controlSymbols.condition] - The character starting a condition
+     *      block.
+     * @param {string} config.controlSymbols.end - The character closing a block.
+     * @param {string} [config.symbolAlphabet] - The alphabet from which symbols are allocated,
+     *      if operations or values are registered without a symbol. Either 'printable' for the
+     *      printable ASCII characters, 'urlSafe' for the letters and '-', '_', '.' and '~',
+     *      'bmp' for the printable characters of the Basic Multilingual Plane, excluding
+     *      separators and combining marks, or a string of unique, non-digit characters. Digits
+     *      are never allocated, since digit strings are handled as character codes, and neither
+     *      are the characters of the literal prefix and terminator, '-' and '.', if literals are
+     *      enabled. (default: 'printable')
+     * @param {number} [config.historyDepth] - Specifies the maximum number of changes that can be
+     *      reverted via `undo`. If defined, it must be a non-negative safe integer, where `0`
+     *      disables the history. (default: 0)
+     * @param {Object} [config.logger] - An object with the methods `error` and `warn`, to which
+     *      errors and warnings are logged. (default: console)
+     * @param {function} [config.onError] - A callback called with the error and the diagnostic
+     *      object (see `getDiagnostics`) of each reported error. (default: undefined)
+     * @param {string} [config.errorMode] - Specifies whether reported errors should be logged
+     *      ('log') or thrown ('throw'). Errors thrown by OpString are instances of
+     *      `OpStringTypeError`, `OpStringSyntaxError`, `OpStringRangeError` or
+     *      `OpStringReferenceError`, containing a stable error `code`. (default: 'log')
      */
     constructor(config) {
+        if (this.#isPlainObject(config)) {
+            /**
+             * NOTE: Apply the error handling configuration before validating the config object,
+             * so that errors of the config object are already reported accordingly.
+             */
+            if (this.#isValidLogger(config.logger)) {
+                this.#logger = config.logger;
+            }
+            if (typeof config.onError === 'function') {
+                this.#onError = config.onError;
+            }
+            if (this.#errorModes.includes(config.errorMode)) {
+                this.#errorMode = config.errorMode;
+            }
+        }
         try {
             this.#validateArguments('constructor', arguments);
             if (config !== undefined) {
@@ -72,6 +261,28 @@ export default class OpString {
                 if (typeof config.strictMode === 'boolean') {
                     this.#strictMode = config.strictMode;
                 }
+                if (config.codePointMode === true) {
+                    this.#codePointMode = true;
+                    this.#maxCharCode = 1114111;
+                }
+                if (typeof config.literals !== 'undefined') {
+                    this.#literals = { ...this.#defaultLiterals, ...config.literals };
+                }
+                if (typeof config.controlSymbols !== 'undefined') {
+                    this.#controlSymbols = {};
+                    for (const [type, symbol] of Object.entries(config.controlSymbols)) {
+                        this.#controlSymbols[type] = this.#computeCharCode(symbol);
+                    }
+                }
+                if (typeof config.symbolAlphabet !== 'undefined') {
+                    this.#symbolAlphabet = config.symbolAlphabet;
+                }
+                if (typeof config.historyDepth !== 'undefined') {
+                    this.#historyDepth = config.historyDepth;
+                }
+                if (typeof config.paramTypes !== 'undefined') {
+                    Object.assign(this.#paramTypes, config.paramTypes);
+                }
                 if (typeof config.operations !== 'undefined') {
                     this.#registerOperationsInternal(config.operations);
                 }
@@ -82,7 +293,8 @@ export default class OpString {
                     this.#registerLabelsInternal(config.labels);
                 }
                 if (typeof config.sequence !== 'undefined') {
-                    this.setSequence(config.sequence);
+                    this.#keepDiagnostics(() => this.setSequence(config.sequence));
+                    this.clearHistory();
                 }
             }
         } catch (error) {
@@ -106,22 +318,26 @@ export default class OpString {
      * 
      * @param {string|number} operation - The character or character code of the operation to be
      *      appended.
-     * @param {Array<string|number>} [values] - An array with the characters or character codes
-     *      of the values corresponding to the operation to be appended.
+     * @param {Array<string|number|Object>} [values] - An array with the characters, character
+     *      codes or literals of the values corresponding to the operation to be appended.
+     *      (see `config.literals`)
      * @returns {number|boolean} - The id of the appended operation or `false` if the operation
      *      wasn't appended.
      */
     append(operation, values) {
         const operationId = this.#nextId;
+        const before = this.#sequence;
         try {
             this.#validateArguments('append', arguments);
-            this.#sequenceData.push({
+            this.#recordHistory();
+            this.#spliceSequenceData(this.#sequenceData.length, 0, [{
                 id: operationId,
                 operation: this.#computeCharCode(operation),
                 values: this.#computeCharCodes(values),
-            });
+            }]);
             this.#nextId++;
             this.#computeSequence();
+            this.#emitChange('append', { ids: [operationId], indexes: [this.#sequenceData.length - 1], before });
             return operationId;
         } catch (error) {
             this.#logError(error);
@@ -138,22 +354,26 @@ export default class OpString {
      * @param {number} index - The index at which the operation should be added.
      * @param {string|number} operation - The character or character code of the operation to be
      *      inserted.
-     * @param {Array<string|number>} [values] - An array with the characters or character codes of
-     *      the values corresponding to the operation to be inserted.
+     * @param {Array<string|number|Object>} [values] - An array with the characters, character
+     *      codes or literals of the values corresponding to the operation to be inserted.
+     *      (see `config.literals`)
      * @returns {number|boolean} - The id of the inserted operation or `false` if the operation
      *      wasn't inserted.
      */
     insert(index, operation, values) {
         const operationId = this.#nextId;
+        const before = this.#sequence;
         try {
-            this.#validateArguments('add', arguments);
-            this.#sequenceData.splice(index, 0, {
+            this.#validateArguments('insert', arguments);
+            this.#recordHistory();
+            this.#spliceSequenceData(index, 0, [{
                 id: operationId,
                 operation: this.#computeCharCode(operation),
                 values: this.#computeCharCodes(values),
-            });
+            }]);
             this.#nextId++;
             this.#computeSequence();
+            this.#emitChange('insert', { ids: [operationId], indexes: [Math.min(index, this.#sequenceData.length - 1)], before });
             return operationId;
         } catch (error) {
             this.#logError(error);
@@ -168,22 +388,26 @@ export default class OpString {
      * 
      * @param {string|number} operation - The character or character code of the operation to be
      *      prepended.
-     * @param {Array<string|number>} [values] - An array with the characters or character codes of
-     *      the values corresponding to the operation to be prepended.
+     * @param {Array<string|number|Object>} [values] - An array with the characters, character
+     *      codes or literals of the values corresponding to the operation to be prepended.
+     *      (see `config.literals`)
      * @returns {number|boolean} - The id of the prepended operation or `false` if the operation
      *      wasn't prepended.
      */
     prepend(operation, values) {
         const operationId = this.#nextId;
+        const before = this.#sequence;
         try {
             this.#validateArguments('prepend', arguments);
-            this.#sequenceData.unshift({
+            this.#recordHistory();
+            this.#spliceSequenceData(0, 0, [{
                 id: operationId,
                 operation: this.#computeCharCode(operation),
                 values: this.#computeCharCodes(values),
-            });
+            }]);
             this.#nextId++;
             this.#computeSequence();
+            this.#emitChange('insert', { ids: [operationId], indexes: [0], before });
             return operationId;
         } catch (error) {
             this.#logError(error);
@@ -207,10 +431,13 @@ export default class OpString {
             this.#validateArguments('remove', arguments);
             const index = this.#sequenceData.findIndex(operation => operation.id === id);
             if (index !== -1) {
-                this.#sequenceData.splice(index, 1);
+                const before = this.#sequence;
+                this.#recordHistory();
+                this.#spliceSequenceData(index, 1);
                 this.#computeSequence();
+                this.#emitChange('remove', { ids: [id], indexes: [index], before });
             } else {
-                throw new ReferenceError(`Cannot remove operation with id ${id}, since not found.`);
+                throw new OpStringReferenceError(`Cannot remove operation with id ${id}, since not found.`, 'OPSTRING_UNKNOWN_ID');
             }
         } catch (error) {
             this.#logError(error);
@@ -235,7 +462,7 @@ export default class OpString {
             if (index !== -1) {
                 return index;
             } else {
-                throw new ReferenceError(`Cannot find index of operation with id ${id}, since not found.`);
+                throw new OpStringReferenceError(`Cannot find index of operation with id ${id}, since not found.`, 'OPSTRING_UNKNOWN_ID');
             }
         } catch (error) {
             this.#logError(error);
@@ -244,337 +471,696 @@ export default class OpString {
     }
 
     /**
-     * Computes the character code of the provided value.
+     * Returns a copy of the operation with the provided id.
      * 
-     * @private
-     * @method computeCharCode
+     * @method get
      * 
-     * @param {*} value - The value for which the character code should be computed.
-     * @returns {*} - If the provided value is a string, the character code of the first position
-     *      of the string is computed; otherwise, the provided value is returned back.
+     * @param {number} id - The id of the operation in the sequence.
+     * @returns {Object|undefined} - A copy of the operation entry containing the `id`, the
+     *      character code of the `operation` and the character codes of its `values`, or
+     *      `undefined` if not found.
      */
-    #computeCharCode(value) {
-        if (this.#getSymbolType(value) === this.#symbolTypeString) {
-            return value.charCodeAt(0);
+    get(id) {
+        try {
+            this.#validateArguments('get', arguments);
+            const entry = this.#sequenceData.find(operation => operation.id === id);
+            if (entry !== undefined) {
+                return this.#cloneSequenceData([entry])[0];
+            } else {
+                throw new OpStringReferenceError(`Cannot get operation with id ${id}, since not found.`, 'OPSTRING_UNKNOWN_ID');
+            }
+        } catch (error) {
+            this.#logError(error);
         }
-        return value;
+        return undefined;
     }
 
     /**
-     * Computes an array of character codes given the provided values.
-     *
-     * @private
-     * @method computeCharCodes
+     * Returns a copy of the first operation for which the provided predicate returns a truthy
+     * value.
      * 
-     * @param {Array<*>} values - The array of values for which character codes should be computed.
-     * @returns {Array<number|null>} - An array of character codes. If a character code cannot be
-     *      computed, `null` will be used instead.
-     */
-    #computeCharCodes(values) {
-        if (values !== undefined) {
-            return values.map((value) => {
-                const symbolType = this.#getSymbolType(value);
-                if (symbolType === this.#symbolTypeString) {
-                    return value.charCodeAt(0);
-                } else if (symbolType === this.#symbolTypeInteger) {
-                    return value;
-                }
-                return null;
-            });
-        }
-        return [];
-    }
-
-    /**
-     * Computes the character sequence from the sequence data array.
+     * @method find
+     * 
+     * @param {function} predicate - The function called with a copy of each operation entry and
+     *      its index.
+     * @returns {Object|undefined} - A copy of the operation entry, or `undefined` if not found.
      */
-    #computeSequence() {
-        let sequence = '';
-        for (let i = 0; i < this.#sequenceData.length; i++) {
-            sequence += String.fromCharCode(this.#sequenceData[i].operation);
-            for (let j = 0; j < this.#sequenceData[i].values.length; j++) {
-                sequence += String.fromCharCode(this.#sequenceData[i].values[j]);
-            }
+    find(predicate) {
+        try {
+            this.#validateArguments('find', arguments);
+            return this.#cloneSequenceData(this.#sequenceData).find(predicate);
+        } catch (error) {
+            this.#logError(error);
         }
-        this.#sequence = sequence;
+        return undefined;
     }
 
     /**
-     * Sets the character sequence.
+     * Returns copies of the operations for which the provided predicate returns a truthy value.
      * 
-     * @method setSequence
+     * @method filter
      * 
-     * @param {string} sequence - The character sequence that should be set.
+     * @param {function} predicate - The function called with a copy of each operation entry and
+     *      its index.
+     * @returns {Array<Object>} - An array of copies of the operation entries.
      */
-    setSequence(sequence) {
-        let caughtError = false;
+    filter(predicate) {
         try {
-            this.#validateArguments('setSequence', arguments);
+            this.#validateArguments('filter', arguments);
+            return this.#cloneSequenceData(this.#sequenceData).filter(predicate);
         } catch (error) {
-            caughtError = true;
             this.#logError(error);
-        } finally {
-            if (! caughtError || (caughtError && ! this.#strictMode)) {
-                this.#sequence = sequence;
-                this.#sequenceData = [];
-                for (let i = 0; i < sequence.length; i++) {
-                    const operationCharCode = sequence.charCodeAt(i);
-                    const operation = this.#operations[operationCharCode];
-                    if (operation) {
-                        const args = [];
-                        for (let j = i+1; j < sequence.length; j++) {
-                            const valueCharCode = sequence.charCodeAt(j);
-                            const value = this.#values[valueCharCode];
-                            if (value) {
-                                args.push(valueCharCode);
-                            } else {
-                                if (this.#operations[valueCharCode]) {
-                                    break;
-                                } else {
-                                    /**
-                                     * NOTE: Register unknown value symbols with a value of `null`.
-                                     * Enables handling of unknown value symbols appropriately.
-                                     */
-                                    this.registerValue(valueCharCode, null);
-                                    args.push(valueCharCode);
-                                }
-                            }
-                        }
-                        this.#sequenceData.push({
-                            id: this.#nextId++,
-                            operation: operationCharCode,
-                            values: args,
-                        });
-                    }
-                }
-            }
         }
+        return [];
     }
 
     /**
-     * Returns the character sequence.
+     * Updates the operation and/or the values of the operation with the provided id, keeping
+     * its id.
      * 
-     * @method getSequence
+     * @method update
      * 
-     * @returns {string} - The character sequence
+     * @param {number} id - The id of the operation to be updated.
+     * @param {Object} changes - Object containing the changes.
+     * @param {string|number} [changes.operation] - The character or character code of the new
+     *      operation.
+     * @param {Array<string|number|Object>} [changes.values] - An array with the characters,
+     *      character codes or literals of the new values. An empty array removes all values.
+     *      (see `config.literals`)
+     * @returns {boolean} - If the operation was updated `true`, otherwise `false`.
      */
-    getSequence() {
-        return this.#sequence;
+    update(id, changes) {
+        try {
+            this.#validateArguments('update', arguments);
+            const index = this.#sequenceData.findIndex(operation => operation.id === id);
+            if (index === -1) {
+                throw new OpStringReferenceError(`Cannot update operation with id ${id}, since not found.`, 'OPSTRING_UNKNOWN_ID');
+            }
+            const entry = this.#sequenceData[index];
+            const operation = changes.operation !== undefined
+                ? changes.operation
+                : this.#computeSymbolArgument(entry.operation);
+            const values = changes.values !== undefined
+                ? changes.values
+                : entry.values.map(charCode => this.#computeSymbolArgument(charCode));
+            this.#validateArguments('updateOperation', [operation, values.length > 0 ? values : undefined]);
+            const before = this.#sequence;
+            this.#recordHistory();
+            this.#spliceSequenceData(index, 1, [{
+                id,
+                operation: this.#computeCharCode(operation),
+                values: this.#computeCharCodes(values),
+            }]);
+            this.#computeSequence();
+            this.#emitChange('update', { ids: [id], indexes: [index], before });
+        } catch (error) {
+            this.#logError(error);
+            return false;
+        }
+        return true;
     }
 
     /**
-     * Returns the sequence data array.
+     * Moves the operation with the provided id to the provided index, keeping its id.
      * 
-     * @method getSequenceData
+     * @method move
      * 
-     * @return {Array<Object>} - The sequence data array
+     * @param {number} id - The id of the operation to be moved.
+     * @param {number} toIndex - The index of the operation after moving it.
+     * @returns {boolean} - If the operation was moved `true`, otherwise `false`.
      */
-    getSequenceData() {
-        return this.#sequenceData;
+    move(id, toIndex) {
+        try {
+            this.#validateArguments('move', arguments);
+            const index = this.#sequenceData.findIndex(operation => operation.id === id);
+            if (index === -1) {
+                throw new OpStringReferenceError(`Cannot move operation with id ${id}, since not found.`, 'OPSTRING_UNKNOWN_ID');
+            }
+            if (toIndex >= this.#sequenceData.length) {
+                throw new OpStringRangeError(`Cannot move operation with id ${id} to index ${toIndex}, since the sequence only contains ${this.#sequenceData.length} operations.`, 'OPSTRING_INDEX_OUT_OF_RANGE');
+            }
+            const before = this.#sequence;
+            this.#recordHistory();
+            const entry = this.#sequenceData[index];
+            this.#spliceSequenceData(index, 1);
+            this.#spliceSequenceData(toIndex, 0, [entry]);
+            this.#computeSequence();
+            this.#emitChange('move', { ids: [id], indexes: [toIndex], fromIndexes: [index], before });
+        } catch (error) {
+            this.#logError(error);
+            return false;
+        }
+        return true;
     }
 
     /**
-     * Registers an operation mapping.
+     * Replaces all occurrences of a symbol, either as operation or as value, with another
+     * symbol, keeping the ids of the affected operations. Symbols may also be provided by their
+     * label, unless the string is a registered operation or value symbol itself. If the symbol
+     * occurs as operation, the new symbol must be a registered operation.
      * 
-     * @method registerOperation
+     * @method replaceAll
      * 
-     * @param {string|number} symbol - The character or character code to be mapped to a function.
-     * @param {function} callback - The function to which the symbol should be mapped to.
+     * @param {string|number} symbol - The character, character code or label of the symbol to
+     *      be replaced.
+     * @param {string|number} newSymbol - The character, character code or label of the symbol
+     *      replacing it.
+     * @returns {number|boolean} - The number of replaced occurrences, or `false` if the symbol
+     *      couldn't be replaced.
      */
-    registerOperation(symbol, callback) {
+    replaceAll(symbol, newSymbol) {
         try {
-            this.#validateArguments('registerOperation', arguments);
-            const symbolType = this.#getSymbolType(symbol);
-            if (symbolType === this.#symbolTypeString) {
-                this.#operations[symbol.charCodeAt(0)] = callback;
-            } else if (symbolType === this.#symbolTypeInteger) {
-                this.#operations[symbol] = callback;
+            this.#validateArguments('replaceAll', arguments);
+            const charCode = this.#resolveSymbolOrLabel(symbol);
+            const newCharCode = this.#resolveSymbolOrLabel(newSymbol);
+            const sequenceData = this.#cloneSequenceData(this.#sequenceData);
+            const ids = [];
+            const indexes = [];
+            let replaced = 0;
+            for (let i = 0; i < sequenceData.length; i++) {
+                const entry = sequenceData[i];
+                let entryReplaced = 0;
+                if (String(entry.operation) === String(charCode)) {
+                    if (this.#operations[newCharCode] === undefined) {
+                        throw new OpStringReferenceError(`Cannot replaceAll symbol '${symbol}' with '${newSymbol}', since the operation with id ${entry.id} would be replaced by a symbol which isn't a registered operation.`, 'OPSTRING_UNKNOWN_OPERATION');
+                    }
+                    entry.operation = newCharCode;
+                    entryReplaced++;
+                }
+                for (let j = 0; j < entry.values.length; j++) {
+                    if (String(entry.values[j]) === String(charCode)) {
+                        entry.values[j] = newCharCode;
+                        entryReplaced++;
+                    }
+                }
+                if (entryReplaced > 0) {
+                    const arity = this.#arities[entry.operation];
+                    if (arity !== undefined && (entry.values.length < arity.min || entry.values.length > arity.max)) {
+                        throw new OpStringRangeError(`Cannot replaceAll symbol '${symbol}' with '${newSymbol}', since the operation with id ${entry.id} expects ${this.#describeArity(arity)} values, but has ${entry.values.length}.`, 'OPSTRING_ARITY_MISMATCH');
+                    }
+                    ids.push(entry.id);
+                    indexes.push(i);
+                    replaced += entryReplaced;
+                }
+            }
+            if (replaced > 0) {
+                const before = this.#sequence;
+                this.#recordHistory();
+                indexes.forEach(index => this.#spliceSequenceData(index, 1, [sequenceData[index]]));
+                this.#computeSequence();
+                this.#emitChange('update', { ids, indexes, before });
             }
+            return replaced;
         } catch (error) {
             this.#logError(error);
         }
+        return false;
     }
 
     /**
-     * Registers additional operation mappings provided by the `operations` object.
+     * Removes all operations for which the provided predicate returns a truthy value.
      * 
-     * @method registerOperations
+     * @method removeWhere
      * 
-     * @param {Object} operations - Object containing additional operation mappings to be
-     *      registered.
+     * @param {function} predicate - The function called with a copy of each operation entry and
+     *      its index.
+     * @returns {number|boolean} - The number of removed operations, or `false` if the operations
+     *      couldn't be removed.
      */
-    registerOperations(operations) {
+    removeWhere(predicate) {
         try {
-            this.#validateArguments('registerOperations', arguments);
-            this.#registerOperationsInternal(operations);
+            this.#validateArguments('removeWhere', arguments);
+            const ids = [];
+            const indexes = [];
+            this.#cloneSequenceData(this.#sequenceData).forEach((entry, index) => {
+                if (predicate(entry, index)) {
+                    ids.push(entry.id);
+                    indexes.push(index);
+                }
+            });
+            if (ids.length > 0) {
+                const before = this.#sequence;
+                this.#recordHistory();
+                const removedIds = new Set(ids);
+                this.#setSequenceData(this.#sequenceData.filter(entry => ! removedIds.has(entry.id)));
+                this.#computeSequence();
+                this.#emitChange('remove', { ids, indexes, before });
+            }
+            return ids.length;
         } catch (error) {
             this.#logError(error);
         }
+        return false;
     }
 
     /**
-     * Registers additional operation mappings provided by the `operations` object without 
-     * re-validating the `operations` object.
+     * Computes the character code of the provided value.
      * 
      * @private
-     * @method registerOperations
+     * @method computeCharCode
      * 
-     * @param {Object} operations - Object containing the operation mappings to be registered.
+     * @param {*} value - The value for which the character code should be computed.
+     * @returns {*} - If the provided value is a single character string, the character code of
+     *      the string is computed (the code point in `codePointMode`). Integer strings are
+     *      converted to numbers. Multi-character tokens and any other values are returned back.
      */
-    #registerOperationsInternal(operations) {
-        for (const [symbol, callback] of Object.entries(operations)) {
-            this.registerOperation(symbol, callback);
+    #computeCharCode(value) {
+        if (
+            this.#getSymbolType(value) === this.#symbolTypeString
+            && ! this.#isMultiCharToken(value)
+        ) {
+            return this.#codePointMode ? value.codePointAt(0) : value.charCodeAt(0);
+        } else if (this.#getSymbolType(value) === this.#symbolTypeInteger) {
+            return Number(value);
         }
+        return value;
     }
 
     /**
-     * Registers the operation mappings provided by the `operations` object. Previously registered
-     * operation mappings will be deleted.
+     * Computes the character for the provided character code.
      * 
-     * @method setOperations
+     * @private
+     * @method computeChar
      * 
-     * @param {Object} operations - Object containing new operation mappings to be registered.
+     * @param {number|string} charCode - The character code (the code point in `codePointMode`),
+     *      or a multi-character token.
+     * @returns {string} - The corresponding character, or the multi-character token.
      */
-    setOperations(operations) {
-        try {
-            this.#validateArguments('setOperations', arguments);
-            this.#operations = {};
-            this.#registerOperationsInternal(operations);
-        } catch (error) {
-            this.#logError(error);
+    #computeChar(charCode) {
+        if (this.#getSymbolType(charCode) === this.#symbolTypeString) {
+            return charCode;
         }
+        return this.#codePointMode ? String.fromCodePoint(charCode) : String.fromCharCode(charCode);
     }
 
     /**
-     * Returns the registered operations.
+     * Splits the provided character sequence into an array of character codes (code points in
+     * `codePointMode`), multi-character tokens and inline numeric literals. Literals are matched
+     * first, followed by registered multi-character tokens, longest first.
      * 
-     * @method getOperations
+     * @private
+     * @method computeSequenceCharCodes
      * 
-     * @returns {Object} - The registered operations
+     * @param {string} sequence - The character sequence to be split.
+     * @returns {Array<number|string>} - The character codes and tokens of the character sequence.
      */
-    getOperations() {
-        return this.#operations;
+    #computeSequenceCharCodes(sequence) {
+        const tokens = this.#getTokens();
+        const charCodes = [];
+        let i = 0;
+        while (i < sequence.length) {
+            const literal = this.#findLiteral(sequence, i);
+            if (literal !== undefined) {
+                charCodes.push(literal);
+                i += literal.length;
+                continue;
+            }
+            const token = tokens.find(token => sequence.startsWith(token, i));
+            if (token !== undefined) {
+                charCodes.push(token);
+                i += token.length;
+            } else {
+                const charCode = this.#codePointMode ? sequence.codePointAt(i) : sequence.charCodeAt(i);
+                charCodes.push(charCode);
+                i += charCode > 65535 ? 2 : 1;
+            }
+        }
+        return charCodes;
     }
 
     /**
-     * Registers a value mapping.
+     * Returns the inline numeric literal starting at the provided index of the character sequence.
      * 
-     * @method registerValue
+     * @private
+     * @method findLiteral
      * 
-     * @param {string|number} symbol - The character or character code to be mapped to a value.
-     * @param {*} value - The value to which the symbol should be mapped to.
+     * @param {string} sequence - The character sequence.
+     * @param {number} index - The index at which the literal may start.
+     * @returns {string|undefined} - The literal, or `undefined` if there is no valid literal at
+     *      the provided index or inline numeric literals are not configured.
      */
-    registerValue(symbol, value) {
-        try {
-            this.#validateArguments('registerValue', arguments);
-            const symbolType = this.#getSymbolType(symbol);
-            if (symbolType === this.#symbolTypeString) {
-                this.#values[symbol.charCodeAt(0)] = value;
-            } else if (symbolType === this.#symbolTypeInteger) {
-                this.#values[symbol] = value;
-            }
-        } catch (error) {
-            this.#logError(error);
+    #findLiteral(sequence, index) {
+        if (this.#literals === undefined || ! sequence.startsWith(this.#literals.prefix, index)) {
+            return undefined;
         }
+        const end = sequence.indexOf(this.#literals.terminator, index + this.#literals.prefix.length);
+        if (end === -1) {
+            return undefined;
+        }
+        const literal = sequence.slice(index, end + this.#literals.terminator.length);
+        return this.#decodeLiteral(literal) !== undefined ? literal : undefined;
     }
 
     /**
-     * Registers additional value mappings provided by the `values` object.
+     * Checks whether the value is a multi-character token, i.e. a string symbol consisting of
+     * more than one character.
      * 
-     * @method registerValues
+     * @private
+     * @method isMultiCharToken
      * 
-     * @param {Object} values - Object containing additional value mappings to be registered.
+     * @param {*} value - The value to be checked.
+     * @returns {boolean}
      */
-    registerValues(values) {
-        try {
-            this.#validateArguments('registerValues', arguments);
-            this.#registerValuesInternal(values);
-        } catch (error) {
-            this.#logError(error);
-        }
+    #isMultiCharToken(value) {
+        return (
+            this.#getSymbolType(value) === this.#symbolTypeString
+            && this.#computeLength(value) > 1
+        );
     }
 
     /**
-     * Registers additional value mappings provided by the `values` object without re-validating
-     * the `values` object.
+     * Returns the registered multi-character tokens of operations and values, sorted by length
+     * in descending order. The tokens are cached until operations or values are registered or
+     * replaced.
      * 
      * @private
-     * @method registerValues
+     * @method getTokens
      * 
-     * @param {Object} values - Object containing the value mappings to be registered.
+     * @returns {Array<string>}
      */
-    #registerValuesInternal(values) {
-        for (const [symbol, callback] of Object.entries(values)) {
-            this.registerValue(symbol, callback);
+    #getTokens() {
+        if (this.#tokens === undefined) {
+            const keys = new Set([...Object.keys(this.#operations), ...Object.keys(this.#values)]);
+            this.#tokens = [...keys]
+                .filter(key => this.#getSymbolType(key) === this.#symbolTypeString)
+                .sort((a, b) => b.length - a.length);
         }
+        return this.#tokens;
     }
 
     /**
-     * Registers the value mappings provided by the `values` object. Previously registered
-     * value mappings will be deleted.
+     * Returns the registered symbol that conflicts with the provided symbol, i.e. for a
+     * multi-character token, a registered token of which one is a prefix of the other, or a
+     * registered single-character symbol the token starts with, and for a single-character
+     * symbol, a registered token starting with it.
      * 
-     * @method setValues
+     * @private
+     * @method findTokenConflict
      * 
-     * @param {Object} values - Object containing new values mappings to be registered.
+     * @param {string|number} symbol - The character, character code or multi-character token to
+     *      be checked.
+     * @returns {string|undefined} - The conflicting symbol, or `undefined` if there is none.
      */
-    setValues(values) {
-        try {
-            this.#validateArguments('setValues', arguments);
-            this.#values = {};
-            this.#registerValuesInternal(values);
-        } catch (error) {
-            this.#logError(error);
+    #findTokenConflict(symbol) {
+        if (! this.#isMultiCharToken(symbol)) {
+            const char = this.#computeChar(this.#computeCharCode(symbol));
+            return this.#getTokens().find(token => token.startsWith(char));
+        }
+        const conflictingToken = this.#getTokens().find(registeredToken => (
+            registeredToken !== symbol
+            && (registeredToken.startsWith(symbol) || symbol.startsWith(registeredToken))
+        ));
+        if (conflictingToken !== undefined) {
+            return conflictingToken;
         }
+        const firstChar = this.#codePointMode ? Array.from(symbol)[0] : symbol[0];
+        const firstCharCode = this.#computeCharCode(firstChar);
+        if (this.#operations[firstCharCode] !== undefined || this.#values[firstCharCode] !== undefined) {
+            return firstChar;
+        }
+        return undefined;
     }
 
     /**
-     * Returns the registered values.
+     * Returns the number of symbols of the provided string, i.e. the number of code points in
+     * `codePointMode`, otherwise the number of UTF-16 code units.
      * 
-     * @method getValues
+     * @private
+     * @method computeLength
      * 
-     * @returns {Object} - The registered values
+     * @param {string} value - The string for which the length should be computed.
+     * @returns {number}
      */
-    getValues() {
-        return this.#values;
+    #computeLength(value) {
+        return this.#codePointMode ? Array.from(value).length : value.length;
     }
 
     /**
-     * Returns the corresponding character for the provided value, if the value is registered.
+     * Computes an array of character codes given the provided values.
+     *
+     * @private
+     * @method computeCharCodes
      * 
-     * @param {*} value - The value for which a coresponding character should be returned.
-     * @returns {string|undefined} - If the value is registered, the corresponding character
-     *      is returned; otherwise `undefined`.
+     * @param {Array<*>} values - The array of values for which character codes should be computed.
+     * @returns {Array<number|string|null>} - An array of character codes. If inline numeric
+     *      literals are configured, literals, i.e. literal strings or objects with the number as
+     *      `literal` property, are encoded in their canonical form. If a character code cannot be
+     *      computed, `null` will be used instead.
      */
-    getCharForValue(value) {
-        try {
-            this.#validateArguments('getCharForValue', arguments);
-            const charCode = this.getCharCodeForValue(value);
-            if (charCode !== undefined) {
-                return String.fromCharCode(charCode);
-            }
-        } catch (error) {
-            this.#logError(error);
-        }
-        return undefined;
-    }
-
-    /**
-     * Returns the corresponding character code for the provided value, if the value is registered.
+    #computeCharCodes(values) {
+        if (values !== undefined) {
+            return values.map((value) => {
+                if (this.#isLiteralObject(value)) {
+                    return this.#encodeLiteral(value.literal);
+                }
+                const literal = this.#decodeLiteral(value);
+                if (literal !== undefined) {
+                    return this.#encodeLiteral(literal);
+                }
+                const symbolType = this.#getSymbolType(value);
+                if (symbolType === this.#symbolTypeString) {
+                    return this.#computeCharCode(value);
+                } else if (symbolType === this.#symbolTypeInteger) {
+                    return Number(value);
+                }
+                return null;
+            });
+        }
+        return [];
+    }
+
+    /**
+     * Computes the character sequence from the sequence data array.
+     */
+    #computeSequence() {
+        this.#sequence = this.#renderEntries(this.#sequenceData);
+    }
+
+    /**
+     * Renders the provided operation entries as character sequence, including the operations
+     * of control-flow blocks followed by the `end` control symbol.
      * 
-     * @param {*} value - The value for which a coresponding character code should be returned.
-     * @returns {number|undefined} - If the value is registered, the corresponding character code
-     *      is returned; otherwise `undefined`.
+     * @private
+     * @method renderEntries
+     * 
+     * @param {Array<Object>} entries - The operation entries to be rendered.
+     * @returns {string} - The character sequence.
      */
-    getCharCodeForValue(value) {
+    #renderEntries(entries) {
+        let sequence = '';
+        for (let i = 0; i < entries.length; i++) {
+            sequence += this.#computeChar(entries[i].operation);
+            for (let j = 0; j < entries[i].values.length; j++) {
+                sequence += this.#computeChar(entries[i].values[j]);
+            }
+            if (entries[i].children !== undefined) {
+                sequence += this.#renderEntries(entries[i].children);
+                sequence += this.#computeChar(this.#controlSymbols.end);
+            }
+        }
+        return sequence;
+    }
+
+    /**
+     * Sets the character sequence.
+     * 
+     * @method setSequence
+     * 
+     * @param {string} sequence - The character sequence that should be set.
+     */
+    setSequence(sequence) {
+        let caughtError = false;
         try {
-            this.#validateArguments('getCharCodeForValue', arguments);
-            const keys = Object.keys(this.#values);
-            for (let i = 0; i < keys.length; i++) {
-                const key = keys[i];
-                if (this.#values[key] === value) {
-                    return key;
+            this.#validateArguments('setSequence', arguments);
+        } catch (error) {
+            caughtError = true;
+            this.#logError(error);
+        }
+        if (! caughtError || (caughtError && ! this.#strictMode)) {
+            const before = this.#sequence;
+            const unknownValues = new Set();
+            const entries = this.#parseSequence(sequence, unknownValues);
+            let paramsValid = true;
+            for (const entry of this.#flattenEntries(entries)) {
+                // NOTE: Unknown value symbols are resolved to `null`, as they'll be registered.
+                const args = this.#resolveValues(entry.values, entry.operation)
+                    .map((value, i) => unknownValues.has(entry.values[i]) ? null : value);
+                try {
+                    this.#checkParams(entry.operation, args, `setSequence to '${sequence}'`);
+                } catch (error) {
+                    paramsValid = false;
+                    this.#logError(error);
+                }
+            }
+            if (! paramsValid) {
+                return;
+            }
+            /**
+             * NOTE: Register unknown value symbols with a value of `null`.
+             * Enables handling of unknown value symbols appropriately.
+             */
+            unknownValues.forEach(charCode => {
+                this.#values[charCode] = null;
+            });
+            this.#recordHistory();
+            this.#sequence = sequence;
+            this.#setSequenceData(this.#assignIds(entries));
+            this.#emitSequenceChange(before);
+        }
+    }
+
+    /**
+     * Validates the character sequence of the current instance or a provided character sequence
+     * specified by the `sequence` parameter without executing it. Neither the registered values
+     * nor the sequence data array are mutated.
+     * 
+     * The returned report contains an `issues` array, of which each issue has a `type`, a
+     * `message` and, if related to a symbol, the `position` of the symbol in the sequence
+     * (counting multi-character tokens and literals as one symbol), its character `offset` and
+     * the `symbol` itself. The following issue types are reported:
+     *  - `maxLengthExceeded`: The sequence exceeds the configured `maxSequenceLength`.
+     *  - `outOfRange`: The character code of a symbol is outside the supported range, e.g.
+     *    characters beyond the BMP without `codePointMode`, or lone surrogates with it.
+     *  - `valueBeforeOperation`: A value precedes the first operation and will be ignored.
+     *  - `unknownSymbol`: A symbol is neither registered as operation nor as value.
+     *  - `nullValue`: A value symbol is registered with a value of `null` or `undefined`.
+     *  - `tooFewValues` and `tooManyValues`: An operation received a number of values that
+     *    doesn't match its declared arity.
+     *  - `missingArgument`: A control-flow block is missing its argument.
+     *  - `unterminatedBlock`: A control-flow block isn't closed by the `end` control symbol.
+     *  - `unexpectedEnd`: An `end` control symbol doesn't close a control-flow block.
+     * 
+     * @method validate
+     * 
+     * @param {string} [sequence] - The character sequence to be validated instead of the
+     *      character sequence of the current instance.
+     * @returns {Object|undefined} - The report containing whether the sequence is `valid`, its
+     *      `length` and the `issues` found, or `undefined` if the sequence isn't a string.
+     */
+    validate(sequence) {
+        try {
+            this.#validateArguments('validate', arguments);
+        } catch (error) {
+            this.#logError(error);
+            return undefined;
+        }
+        if (sequence === undefined) {
+            sequence = this.#sequence;
+        }
+        const issues = [];
+        const length = this.#computeLength(sequence);
+        if (! this.#isSequenceLengthWithinLimit(sequence)) {
+            issues.push({
+                type: 'maxLengthExceeded',
+                length,
+                maxSequenceLength: this.#maxSequenceLength,
+                message: `The sequence exceeds the configured 'maxSequenceLength' of ${this.#maxSequenceLength} characters.`,
+            });
+        }
+        const charCodes = this.#computeSequenceCharCodes(sequence);
+        const macros = new Set();
+        let operationFound = false;
+        for (let i = 0; i < charCodes.length; i++) {
+            const charCode = charCodes[i];
+            const controlType = this.#getControlType(charCode);
+            if (controlType !== undefined) {
+                operationFound = true;
+                if (
+                    ['define', 'condition'].includes(controlType)
+                    && i + 1 < charCodes.length
+                    && this.#getControlType(charCodes[i + 1]) === undefined
+                ) {
+                    // NOTE: The names of macros and flags are no values.
+                    if (controlType === 'define') {
+                        macros.add(String(charCodes[i + 1]));
+                    }
+                    i++;
+                }
+                continue;
+            }
+            if (this.#operations[charCode] || macros.has(String(charCode))) {
+                operationFound = true;
+                continue;
+            }
+            const symbol = this.#computeChar(charCode);
+            const issue = this.#findSymbolIssue(charCodes, i, operationFound);
+            if (issue !== undefined) {
+                issues.push({ type: issue.type, position: i, symbol, ...issue });
+            }
+        }
+        this.#parseSequence(sequence, undefined, issues);
+        const offsets = [];
+        let offset = 0;
+        for (let i = 0; i < charCodes.length; i++) {
+            offsets.push(offset);
+            offset += typeof charCodes[i] === 'string' ? charCodes[i].length : (charCodes[i] > 65535 ? 2 : 1);
+        }
+        const report = issues
+            .map(issue => issue.position === undefined ? issue : { ...issue, offset: offsets[issue.position] })
+            .sort((a, b) => (a.position === undefined ? -1 : a.position) - (b.position === undefined ? -1 : b.position));
+        return {
+            valid: report.length === 0,
+            length,
+            issues: report,
+        };
+    }
+
+    /**
+     * Renders the sequence data array as human-readable text, with one operation per line in the
+     * form `operation(value, value, ...)`, e.g. 'circle(thirty, thirty, twenty)'. Operations and
+     * values are rendered by their label, if registered. Unlabeled single characters are
+     * rendered by their character code, and unlabeled multi-character tokens and literals as
+     * JSON strings. The operations of control-flow blocks are indented, followed by a line
+     * containing the `end` control symbol. The text can be parsed back into a character
+     * sequence via `assemble`.
+     * 
+     * @method disassemble
+     * 
+     * @returns {string} - The disassembled text.
+     */
+    disassemble() {
+        const disassembleEntries = (entries, indent) => entries.flatMap(entry => {
+            const values = entry.values.map(charCode => this.#disassembleSymbol(charCode));
+            const line = `${indent}${this.#disassembleSymbol(entry.operation)}(${values.join(', ')})`;
+            if (entry.children === undefined) {
+                return [line];
+            }
+            return [
+                line,
+                ...disassembleEntries(entry.children, `${indent}    `),
+                `${indent}${this.#disassembleSymbol(this.#controlSymbols.end)}()`,
+            ];
+        });
+        return disassembleEntries(this.#sequenceData, '').join('\n');
+    }
+
+    /**
+     * Parses text in the format of `disassemble` back into a character sequence via the
+     * registered labels. Operations and values may be written as labels, character codes or
+     * JSON strings containing a single symbol. Empty lines and lines starting with `//` are
+     * ignored. The sequence of the current instance is not changed.
+     * 
+     * @method assemble
+     * 
+     * @param {string} text - The text to be assembled.
+     * @returns {string|undefined} - The assembled character sequence, or `undefined` if the text
+     *      is invalid.
+     */
+    assemble(text) {
+        try {
+            this.#validateArguments('assemble', arguments);
+            const lines = text.split('\n');
+            const macros = new Set();
+            let sequence = '';
+            for (let i = 0; i < lines.length; i++) {
+                const line = lines[i].replace(/\r$/, '');
+                const trimmedLine = line.trim();
+                if (trimmedLine === '' || trimmedLine.startsWith('//')) {
+                    continue;
                 }
+                sequence += this.#assembleLine(line, i + 1, macros);
             }
+            return sequence;
         } catch (error) {
             this.#logError(error);
         }
@@ -582,249 +1168,4693 @@ export default class OpString {
     }
 
     /**
-     * Registers a label mapping to represent the provided symbol.
+     * Compares the operations of two sequences and returns the hunks needed to turn the first
+     * sequence into the second one. Each sequence may either be an OpString instance, of which
+     * the sequence data array is compared, or a character sequence, which is parsed with the
+     * mappings of the other OpString instance.
      * 
-     * @method registerLabel
+     * Each hunk contains its `type` ('insert', 'delete' or 'modify'), the `index` at which it
+     * applies, the `operation` symbol and the `values` symbols of the inserted, deleted or
+     * modified operation. Modify hunks additionally contain the `previousValues` symbols. The
+     * indexes refer to the sequence after applying the preceding hunks. Sequences containing
+     * control-flow blocks can't be compared.
      * 
-     * @param {string} label - The label to represent the provided symbol.
-     * @param {string|number} symbol - The character or character code to be mapped to the label.
+     * @method diff
+     * @static
+     * 
+     * @param {OpString|string} a - The sequence to compare from.
+     * @param {OpString|string} b - The sequence to compare to.
+     * @returns {Array<Object>|undefined} - The hunks, or `undefined` if the parameters are invalid
+     *      or a sequence contains control-flow blocks.
+     * 
+     * @throws {TypeError} - If neither `a` nor `b` is an OpString instance, since errors can't be
+     *      reported otherwise.
+     */
+    static diff(a, b) {
+        const instance = a instanceof OpString ? a : b;
+        if (! (instance instanceof OpString)) {
+            throw new OpStringTypeError(`Cannot diff, since at least one of the 'a' and 'b' parameters must be an OpString instance.`, 'OPSTRING_INVALID_ARGUMENT');
+        }
+        try {
+            instance.#validateArguments('diff', [a, b]);
+        } catch (error) {
+            instance.#logError(error);
+            return undefined;
+        }
+        const from = instance.#getDiffEntries(a);
+        const to = instance.#getDiffEntries(b);
+        if ([...from, ...to].some(entry => entry.children !== undefined)) {
+            instance.#logError(new OpStringSyntaxError(`Cannot diff, since the sequences contain control-flow blocks, which can't be compared.`, 'OPSTRING_CONTROL_ERROR'));
+            return undefined;
+        }
+        const keys = (entries) => entries.map(entry => JSON.stringify([entry.operation, entry.values]));
+        const matches = instance.#computeMatches(keys(from), keys(to));
+
+        const hunks = [];
+        let index = 0;
+        let i = 0;
+        let j = 0;
+        // NOTE: The end of both sequences is appended as last match, to which the remaining operations differ.
+        for (const [matchI, matchJ] of [...matches, [from.length, to.length]]) {
+            const deleted = from.slice(i, matchI);
+            const inserted = to.slice(j, matchJ);
+            const pairs = Math.min(deleted.length, inserted.length);
+            for (let k = 0; k < pairs; k++) {
+                if (deleted[k].operation === inserted[k].operation) {
+                    hunks.push(instance.#createHunk('modify', index, inserted[k], deleted[k]));
+                } else {
+                    hunks.push(instance.#createHunk('delete', index, deleted[k]));
+                    hunks.push(instance.#createHunk('insert', index, inserted[k]));
+                }
+                index++;
+            }
+            for (let k = pairs; k < deleted.length; k++) {
+                hunks.push(instance.#createHunk('delete', index, deleted[k]));
+            }
+            for (let k = pairs; k < inserted.length; k++) {
+                hunks.push(instance.#createHunk('insert', index, inserted[k]));
+                index++;
+            }
+            i = matchI + 1;
+            j = matchJ + 1;
+            index++;
+        }
+        return hunks;
+    }
+
+    /**
+     * Applies the hunks of a patch created via `OpString.diff` to the sequence data array, using
+     * `insert` and `remove`. Modify hunks remove the operation and insert the modified one at
+     * the same index. The patch is applied at once, i.e. if a hunk conflicts with the sequence,
+     * e.g. since the operation at its index differs from the expected one, none of the hunks are
+     * applied. The patch can be reverted at once via `undo`.
+     * 
+     * @method applyPatch
+     * 
+     * @param {Array<Object>} patch - The hunks to be applied.
+     * @returns {boolean} - If the patch was applied `true`, otherwise `false`.
+     */
+    applyPatch(patch) {
+        try {
+            this.#validateArguments('applyPatch', arguments);
+        } catch (error) {
+            this.#logError(error);
+            return false;
+        }
+        return this.batch(() => {
+            for (let i = 0; i < patch.length; i++) {
+                this.#applyHunk(patch[i], i);
+            }
+        });
+    }
+
+    /**
+     * Returns the diagnostics reported by the last call of a public method, e.g. the warnings of
+     * the last `append`. Each diagnostic contains the `severity` ('error' in `strictMode`,
+     * otherwise 'warning'), the stable error `code`, the `name` and `message` of the error, and
+     * the `error` itself.
+     * 
+     * @method getDiagnostics
+     * 
+     * @returns {Array<Object>} - An array of diagnostic objects.
+     */
+    getDiagnostics() {
+        return [...this.#diagnostics];
+    }
+
+    /**
+     * Calls the provided callback and returns all diagnostics reported during the call, e.g. to
+     * collect the diagnostics of multiple calls.
+     * 
+     * @method collectDiagnostics
+     * 
+     * @param {function} callback - The function to be called. It receives the OpString instance
+     *      as its argument.
+     * @returns {Array<Object>|undefined} - An array of diagnostic objects (see `getDiagnostics`),
+     *      or `undefined` if the callback is not a function.
+     */
+    collectDiagnostics(callback) {
+        try {
+            this.#validateArguments('collectDiagnostics', arguments);
+        } catch (error) {
+            this.#logError(error);
+            return undefined;
+        }
+        this.#keepDiagnostics(() => callback(this));
+        return this.getDiagnostics();
+    }
+
+    /**
+     * Registers an event handler for the specified event. The handler receives a payload object
+     * as its argument. The following events are emitted:
+     *  - `append`, `insert` and `remove`: When an operation is appended, inserted (or prepended)
+     *    or removed. The payload contains the affected `ids` and `indexes`, and the `before` and
+     *    `after` character sequences.
+     *  - `update` and `move`: When operations are updated (e.g. via `replaceAll`) or moved. The
+     *    payload is the same as above; for `move`, it additionally contains the previous
+     *    indexes (`fromIndexes`).
+     *  - `sequence`: When the whole sequence is replaced, e.g. via `setSequence` or `decode`.
+     *    The payload contains the new `ids` and `indexes`, and the `before` and `after`
+     *    character sequences.
+     *  - `change`: After each of the above events, as well as after `undo`, `redo` and the
+     *    rollback of a `batch`. The payload additionally contains the `type` of the change.
+     *  - `operationRegistered`: When an operation is registered. The payload contains the
+     *    `symbol` and its character code (`charCode`).
+     *  - `valueRegistered`: When a value is registered. The payload contains the `symbol`, its
+     *    character code (`charCode`) and the `value`.
+     *  - `execute`: After the sequence has been executed. The payload contains the executed
+     *    `sequence` and the number of executed operations (`executed`).
+     * 
+     * Errors thrown by event handlers are reported with the code 'OPSTRING_HANDLER_ERROR' and
+     * logged, but never thrown, even in the 'throw' error mode, since the change of the
+     * sequence has already been applied.
+     * 
+     * @method on
+     * 
+     * @param {string} event - The name of the event.
+     * @param {function} handler - The function to be called when the event is emitted.
+     * @returns {function|undefined} - A function that removes the event handler, or `undefined`
+     *      if the event handler wasn't registered.
+     */
+    on(event, handler) {
+        try {
+            this.#validateArguments('on', arguments);
+            if (this.#listeners[event] === undefined) {
+                this.#listeners[event] = [];
+            }
+            this.#listeners[event].push(handler);
+            return () => this.off(event, handler);
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Removes an event handler registered via `on`. If no handler is provided, all event
+     * handlers of the specified event are removed.
+     * 
+     * @method off
+     * 
+     * @param {string} event - The name of the event.
+     * @param {function} [handler] - The event handler to be removed.
+     */
+    off(event, handler) {
+        try {
+            this.#validateArguments('off', arguments);
+            if (handler === undefined) {
+                delete this.#listeners[event];
+            } else if (this.#listeners[event] !== undefined) {
+                this.#listeners[event] = this.#listeners[event].filter(listener => listener !== handler);
+            }
+        } catch (error) {
+            this.#logError(error);
+        }
+    }
+
+    /**
+     * Calls the event handlers of the specified event with the provided payload. Errors thrown
+     * by event handlers are reported, but never thrown. (see `logHandlerError`)
+     * 
+     * @private
+     * @method emit
+     * 
+     * @param {string} event - The name of the event.
+     * @param {Object} payload - The payload to be passed to the event handlers.
+     */
+    #emit(event, payload) {
+        const listeners = this.#listeners[event];
+        if (listeners === undefined) {
+            return;
+        }
+        for (const listener of [...listeners]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                this.#logHandlerError(error);
+            }
+        }
+    }
+
+    /**
+     * Emits the event of the specified type of change of the sequence, followed by the `change`
+     * event.
+     * 
+     * @private
+     * @method emitChange
+     * 
+     * @param {string} type - The type of change, e.g. `append`, `insert`, `remove`, `sequence`,
+     *      `undo`, `redo` or `rollback`.
+     * @param {Object} payload - Object containing the affected `ids` and `indexes`, and the
+     *      `before` character sequence.
+     */
+    #emitChange(type, payload) {
+        payload = { ...payload, after: this.#sequence };
+        if (this.#eventNames.includes(type)) {
+            this.#emit(type, payload);
+        }
+        this.#emit('change', { type, ...payload });
+    }
+
+    /**
+     * Reverts the last change of the sequence. Changes grouped via `batch` are reverted at once.
+     * 
+     * @method undo
+     * 
+     * @returns {boolean} - If a change was reverted `true`, otherwise `false`.
+     */
+    undo() {
+        this.#resetDiagnostics();
+        if (this.#history.length === 0) {
+            return false;
+        }
+        const before = this.#sequence;
+        const change = this.#history.pop();
+        this.#revertChange(change);
+        this.#future.push(change);
+        this.#emitChange('undo', { ids: [], indexes: [], before });
+        return true;
+    }
+
+    /**
+     * Reapplies the last change of the sequence reverted via `undo`.
+     * 
+     * @method redo
+     * 
+     * @returns {boolean} - If a change was reapplied `true`, otherwise `false`.
+     */
+    redo() {
+        this.#resetDiagnostics();
+        if (this.#future.length === 0) {
+            return false;
+        }
+        const before = this.#sequence;
+        const change = this.#future.pop();
+        this.#reapplyChange(change);
+        this.#history.push(change);
+        this.#emitChange('redo', { ids: [], indexes: [], before });
+        return true;
+    }
+
+    /**
+     * Returns whether there is a change of the sequence that can be reverted via `undo`.
+     * 
+     * @method canUndo
+     * 
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.#history.length > 0;
+    }
+
+    /**
+     * Returns whether there is a change of the sequence that can be reapplied via `redo`.
+     * 
+     * @method canRedo
+     * 
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.#future.length > 0;
+    }
+
+    /**
+     * Clears the undo and redo history.
+     * 
+     * @method clearHistory
+     */
+    clearHistory() {
+        this.#history = [];
+        this.#future = [];
+    }
+
+    /**
+     * Executes the provided callback and groups all changes of the sequence made within it into
+     * a single history entry, which can be reverted via a single `undo`. If the callback throws,
+     * the changes made within it are reverted and the `change` event is emitted with the type
+     * 'rollback'.
+     * 
+     * @method batch
+     * 
+     * @param {function} callback - The function making the changes. It receives the OpString
+     *      instance as its argument.
+     * @returns {boolean} - If the callback completed `true`, otherwise `false`.
+     */
+    batch(callback) {
+        try {
+            this.#validateArguments('batch', arguments);
+        } catch (error) {
+            this.#logError(error);
+            return false;
+        }
+        if (this.#batchDepth === 0) {
+            this.#pendingChange = this.#createChange();
+        }
+        const change = this.#pendingChange;
+        const mark = { splices: change.splices.length, nextId: this.#nextId };
+        this.#batchDepth++;
+        try {
+            this.#keepDiagnostics(() => callback(this));
+        } catch (error) {
+            const reverted = change.splices.splice(mark.splices);
+            if (reverted.length > 0) {
+                const before = this.#sequence;
+                this.#revertSplices(reverted);
+                this.#computeSequence();
+                this.#emitChange('rollback', { ids: [], indexes: [], before });
+            }
+            this.#nextId = mark.nextId;
+            if (this.#diagnostics.some(diagnostic => diagnostic.error === error)) {
+                // NOTE: Errors reported within the callback are only thrown in the 'throw' error mode.
+                throw error;
+            }
+            this.#logError(error, 'OPSTRING_CALLBACK_ERROR');
+            return false;
+        } finally {
+            this.#batchDepth--;
+            if (this.#batchDepth === 0) {
+                this.#pendingChange = undefined;
+            }
+        }
+        if (
+            this.#batchDepth === 0
+            && this.#historyDepth > 0
+            && (change.splices.length > 0 || change.nextId !== this.#nextId)
+        ) {
+            this.#future = [];
+            this.#pushHistory(change);
+        }
+        return true;
+    }
+
+    /**
+     * Creates a frozen snapshot of the sequence data array, the next operation id and the
+     * registered operations, values and labels, which can be restored via `restore`, e.g. to
+     * branch experiments and roll back cheaply.
+     * 
+     * Arrays, plain objects, maps, sets and dates of the registered values are copied deeply,
+     * so that changing them afterwards doesn't change the snapshot. Other objects, e.g.
+     * instances of classes, are kept by reference and must not be mutated in place.
+     * 
+     * @method snapshot
+     * 
+     * @returns {Object} - The frozen snapshot.
+     */
+    snapshot() {
+        return Object.freeze({
+            sequenceData: this.#freezeSequenceData(this.#sequenceData),
+            nextId: this.#nextId,
+            operations: Object.freeze({ ...this.#operations }),
+            arities: Object.freeze(Object.fromEntries(
+                Object.entries(this.#arities).map(([charCode, arity]) => [charCode, Object.freeze({ ...arity })])
+            )),
+            params: Object.freeze(Object.fromEntries(
+                Object.entries(this.#params).map(([charCode, params]) => [charCode, this.#cloneParams(params, true)])
+            )),
+            values: Object.freeze(Object.fromEntries(
+                Object.entries(this.#values).map(([charCode, value]) => [charCode, this.#cloneValue(value, true)])
+            )),
+            labels: Object.freeze({ ...this.#labels }),
+        });
+    }
+
+    /**
+     * Restores a snapshot created via `snapshot`, replacing the sequence data array, the next
+     * operation id and the registered operations, values and labels. The change of the sequence
+     * can be reverted via `undo`, whereas the change of the mappings can't.
+     * 
+     * @method restore
+     * 
+     * @param {Object} snapshot - The snapshot to be restored.
+     * @returns {boolean} - If the snapshot was restored `true`, otherwise `false`.
+     */
+    restore(snapshot) {
+        try {
+            this.#validateArguments('restore', arguments);
+        } catch (error) {
+            this.#logError(error);
+            return false;
+        }
+        const before = this.#sequence;
+        this.#recordHistory();
+        this.#operations = { ...snapshot.operations };
+        this.#arities = Object.fromEntries(
+            Object.entries(snapshot.arities).map(([charCode, arity]) => [charCode, { ...arity }])
+        );
+        this.#params = Object.fromEntries(
+            Object.entries(snapshot.params).map(([charCode, params]) => [charCode, this.#cloneParams(params)])
+        );
+        this.#values = Object.fromEntries(
+            Object.entries(snapshot.values).map(([charCode, value]) => [charCode, this.#cloneValue(value)])
+        );
+        this.#tokens = undefined;
+        this.#labels = { ...snapshot.labels };
+        this.#setSequenceData(this.#cloneSequenceData(snapshot.sequenceData));
+        this.#nextId = snapshot.nextId;
+        this.#computeSequence();
+        this.#emitSequenceChange(before);
+        return true;
+    }
+
+    /**
+     * Creates a new OpString instance with the same configuration and mappings, and optionally
+     * the same sequence, including the operation ids. Event handlers and the history aren't
+     * copied. The registered values are copied like by `snapshot`, so that changing the values
+     * of one instance doesn't change the ones of the other.
+     * 
+     * @method clone
+     * 
+     * @param {Object} [options] - Object to configure the clone.
+     * @param {boolean} [options.withSequence] - Specifies whether the sequence should be copied.
+     *      (default: true)
+     * @returns {OpString|undefined} - The new OpString instance, or `undefined` if the options
+     *      are invalid.
+     */
+    clone(options) {
+        try {
+            this.#validateArguments('clone', arguments);
+        } catch (error) {
+            this.#logError(error);
+            return undefined;
+        }
+        const clone = new OpString();
+        clone.#maxSequenceLength = this.#maxSequenceLength;
+        clone.#ignoreWarnings = this.#ignoreWarnings;
+        clone.#strictMode = this.#strictMode;
+        clone.#codePointMode = this.#codePointMode;
+        clone.#maxCharCode = this.#maxCharCode;
+        clone.#literals = this.#literals !== undefined ? { ...this.#literals } : undefined;
+        clone.#controlSymbols = this.#controlSymbols !== undefined ? { ...this.#controlSymbols } : undefined;
+        clone.#symbolAlphabet = this.#symbolAlphabet;
+        clone.#historyDepth = this.#historyDepth;
+        clone.#logger = this.#logger;
+        clone.#onError = this.#onError;
+        clone.#errorMode = this.#errorMode;
+        clone.#operations = { ...this.#operations };
+        clone.#arities = Object.fromEntries(
+            Object.entries(this.#arities).map(([charCode, arity]) => [charCode, { ...arity }])
+        );
+        clone.#params = Object.fromEntries(
+            Object.entries(this.#params).map(([charCode, params]) => [charCode, this.#cloneParams(params)])
+        );
+        clone.#paramTypes = { ...this.#paramTypes };
+        clone.#values = Object.fromEntries(
+            Object.entries(this.#values).map(([charCode, value]) => [charCode, this.#cloneValue(value)])
+        );
+        clone.#tokens = undefined;
+        clone.#labels = { ...this.#labels };
+        if (options === undefined || options.withSequence !== false) {
+            clone.#sequence = this.#sequence;
+            clone.#sequenceData = this.#cloneSequenceData(this.#sequenceData);
+            clone.#nextId = this.#nextId;
+        }
+        return clone;
+    }
+
+    /**
+     * Appends the sequence of another OpString instance to the sequence of the current instance
+     * and registers the operations, values and labels of the other instance. The appended
+     * operations are assigned new ids. Both instances must have the same `codePointMode`,
+     * `literals` and `controlSymbols` configuration.
+     * 
+     * A symbol of the other instance collides, if it's registered as operation or value in the
+     * current instance with a different mapping, or if it's a multi-character token of which a
+     * registered token is a prefix or vice versa. Values are compared structurally, i.e.
+     * equivalent objects, arrays, maps and sets aren't colliding, regardless of the order of
+     * their properties and entries. A label collides, if it's registered for a different
+     * symbol. Collisions are resolved based on the `onConflict` option:
+     *  - `error`: The sequence isn't concatenated and an error is reported.
+     *  - `keep`: The mappings of the current instance are kept.
+     *  - `overwrite`: The mappings of the other instance replace the ones of the current instance.
+     *  - `remap`: The colliding symbols of the other instance are remapped to unused symbols,
+     *    and colliding labels are renamed by appending a number, e.g. 'circle_2'. A symbol,
+     *    which is registered both as operation and as value in the other instance, may be
+     *    remapped to different symbols for each.
+     * 
+     * @method concat
+     * 
+     * @param {OpString} other - The OpString instance of which the sequence should be appended.
+     * @param {Object} [options] - Object to configure the concatenation.
+     * @param {string} [options.onConflict] - Specifies how collisions are resolved; 'error',
+     *      'keep', 'overwrite' or 'remap'. (default: 'error')
+     * @returns {Object|boolean} - An object with the properties `operations` and `values`,
+     *      mapping the remapped operation and value symbols of the other instance to their new
+     *      symbols, and `labels`, mapping the renamed labels to their new labels, or `false` if
+     *      the sequence wasn't concatenated.
+     */
+    concat(other, options) {
+        try {
+            this.#validateArguments('concat', arguments);
+            const onConflict = options !== undefined && options.onConflict !== undefined ? options.onConflict : 'error';
+            const operations = { ...this.#operations };
+            const arities = { ...this.#arities };
+            const params = { ...this.#params };
+            const values = { ...this.#values };
+            const labels = { ...this.#labels };
+            // NOTE: A symbol of the other instance, which is registered both as operation and as
+            //       value, may be remapped to different symbols for each.
+            const remappedOperations = new Map();
+            const remappedValues = new Map();
+            const renamed = {};
+            const usedCharCodes = new Set([
+                ...Object.keys(operations),
+                ...Object.keys(values),
+                ...Object.keys(other.#operations),
+                ...Object.keys(other.#values),
+                ...this.#flattenEntries([...this.#sequenceData, ...other.#sequenceData]).flatMap(entry => [entry.operation, ...entry.values]).map(String),
+                ...(this.#controlSymbols !== undefined ? Object.values(this.#controlSymbols).map(String) : []),
+            ]);
+            const tokens = [...this.#getTokens(), ...other.#getTokens()];
+            const resolveConflict = (charCode, remapped, message, conflictingToken) => {
+                if (onConflict === 'error' || (conflictingToken !== undefined && onConflict !== 'remap')) {
+                    // NOTE: Conflicting tokens can only be resolved by remapping.
+                    throw new OpStringSyntaxError(`Cannot concat, since ${message}`, 'OPSTRING_SYMBOL_CONFLICT');
+                }
+                if (onConflict === 'remap') {
+                    const newCharCode = this.#allocateCharCode(code => usedCharCodes.has(String(code)), tokens);
+                    usedCharCodes.add(String(newCharCode));
+                    remapped.set(String(charCode), newCharCode);
+                    return newCharCode;
+                }
+                return onConflict === 'overwrite' ? charCode : undefined;
+            };
+            const computeCharCode = key => this.#getSymbolType(key) === this.#symbolTypeInteger ? Number(key) : key;
+            for (const [key, callback] of Object.entries(other.#operations)) {
+                let charCode = computeCharCode(key);
+                const arity = other.#arities[key];
+                const hasSameMapping = operations[key] === callback
+                    && JSON.stringify(arities[key]) === JSON.stringify(arity)
+                    && JSON.stringify(params[key]) === JSON.stringify(other.#params[key]);
+                if (operations[key] !== undefined && hasSameMapping) {
+                    continue;
+                }
+                const conflictingToken = this.#findTokenConflict(charCode);
+                if (operations[key] !== undefined || values[key] !== undefined || conflictingToken !== undefined) {
+                    charCode = resolveConflict(charCode, remappedOperations, `the operation symbol '${this.#computeChar(charCode)}' of the other instance collides with a symbol of the current instance.`, conflictingToken);
+                    if (charCode === undefined) {
+                        continue;
+                    }
+                    if (onConflict === 'overwrite') {
+                        delete values[key];
+                    }
+                }
+                operations[charCode] = callback;
+                if (arity !== undefined) {
+                    arities[charCode] = { ...arity };
+                } else {
+                    delete arities[charCode];
+                }
+                if (other.#params[key] !== undefined) {
+                    params[charCode] = this.#cloneParams(other.#params[key]);
+                } else {
+                    delete params[charCode];
+                }
+            }
+            for (const [key, value] of Object.entries(other.#values)) {
+                let charCode = computeCharCode(key);
+                if (values[key] !== undefined && this.#isSameValue(values[key], value) && operations[key] === undefined) {
+                    continue;
+                }
+                const conflictingToken = this.#findTokenConflict(charCode);
+                if (
+                    Object.prototype.hasOwnProperty.call(values, key)
+                    || (operations[key] !== undefined && other.#operations[key] === undefined)
+                    || conflictingToken !== undefined
+                ) {
+                    charCode = resolveConflict(charCode, remappedValues, `the value symbol '${this.#computeChar(charCode)}' of the other instance collides with a symbol of the current instance.`, conflictingToken);
+                    if (charCode === undefined) {
+                        continue;
+                    }
+                    if (onConflict === 'overwrite' && other.#operations[key] === undefined) {
+                        delete operations[key];
+                        delete arities[key];
+                        delete params[key];
+                    }
+                }
+                values[charCode] = value;
+            }
+            for (const [label, key] of Object.entries(other.#labels)) {
+                const remapped = other.#operations[key] !== undefined ? remappedOperations : remappedValues;
+                const charCode = remapped.has(String(key)) ? remapped.get(String(key)) : key;
+                if (labels[label] === undefined || String(labels[label]) === String(charCode)) {
+                    labels[label] = charCode;
+                } else if (onConflict === 'error') {
+                    throw new OpStringSyntaxError(`Cannot concat, since the label '${label}' of the other instance collides with a label of the current instance.`, 'OPSTRING_SYMBOL_CONFLICT');
+                } else if (onConflict === 'overwrite') {
+                    labels[label] = charCode;
+                } else if (onConflict === 'remap') {
+                    let n = 2;
+                    while (labels[`${label}_${n}`] !== undefined || other.#labels[`${label}_${n}`] !== undefined) {
+                        n++;
+                    }
+                    labels[`${label}_${n}`] = charCode;
+                    renamed[label] = `${label}_${n}`;
+                }
+            }
+            const remap = (remapped, charCode) => remapped.has(String(charCode)) ? remapped.get(String(charCode)) : charCode;
+            const remapEntries = sourceEntries => sourceEntries.map(entry => {
+                const remappedEntry = {
+                    operation: remap(remappedOperations, entry.operation),
+                    values: entry.values.map(charCode => remap(remappedValues, charCode)),
+                };
+                if (entry.children !== undefined) {
+                    remappedEntry.children = remapEntries(entry.children);
+                }
+                return remappedEntry;
+            });
+            const before = this.#sequence;
+            this.#recordHistory();
+            const entries = this.#assignIds(remapEntries(other.#sequenceData));
+            this.#operations = operations;
+            this.#arities = arities;
+            this.#params = params;
+            this.#values = values;
+            this.#tokens = undefined;
+            this.#labels = labels;
+            this.#spliceSequenceData(this.#sequenceData.length, 0, entries);
+            this.#computeSequence();
+            if (entries.length > 0) {
+                this.#emitChange('append', {
+                    ids: entries.map(entry => entry.id),
+                    indexes: entries.map((entry, i) => this.#sequenceData.length - entries.length + i),
+                    before,
+                });
+            }
+            const computeMapping = remapped => Object.fromEntries(
+                [...remapped].map(([charCode, newCharCode]) => [other.#computeChar(computeCharCode(charCode)), this.#computeChar(newCharCode)])
+            );
+            return {
+                operations: computeMapping(remappedOperations),
+                values: computeMapping(remappedValues),
+                labels: renamed,
+            };
+        } catch (error) {
+            this.#logError(error);
+        }
+        return false;
+    }
+
+    /**
+     * Creates a new OpString instance by cloning the first instance and appending the sequence
+     * of the second instance via `concat`.
+     * 
+     * @method merge
+     * @static
+     * 
+     * @param {OpString} a - The OpString instance to be cloned.
+     * @param {OpString} b - The OpString instance of which the sequence should be appended.
+     * @param {Object} [options] - Object to configure the concatenation. (see `concat`)
+     * @returns {OpString|undefined} - The new OpString instance, or `undefined` if the instances
+     *      couldn't be merged.
+     * 
+     * @throws {TypeError} - If `a` is not an OpString instance, since errors can't be reported
+     *      otherwise.
+     */
+    static merge(a, b, options) {
+        if (! (a instanceof OpString)) {
+            throw new OpStringTypeError(`Cannot merge, since the 'a' parameter must be an OpString instance.`, 'OPSTRING_INVALID_ARGUMENT');
+        }
+        const merged = a.clone();
+        if (merged.concat(b, options) === false) {
+            return undefined;
+        }
+        merged.clearHistory();
+        return merged;
+    }
+
+    /**
+     * Starts recording the upcoming change of the sequence in the history, unless changes are
+     * being grouped via `batch` or the history is disabled.
+     * 
+     * @private
+     * @method recordHistory
+     */
+    #recordHistory() {
+        if (this.#batchDepth > 0) {
+            return;
+        }
+        this.#pendingChange = undefined;
+        if (this.#historyDepth > 0) {
+            this.#future = [];
+            this.#pendingChange = this.#createChange();
+            this.#pushHistory(this.#pendingChange);
+        }
+    }
+
+    /**
+     * Adds the provided change to the history, limited to the configured `historyDepth`.
+     * 
+     * @private
+     * @method pushHistory
+     * 
+     * @param {Object} change - The change of the sequence. (see `createChange`)
+     */
+    #pushHistory(change) {
+        this.#history.push(change);
+        if (this.#history.length > this.#historyDepth) {
+            this.#history.shift();
+        }
+    }
+
+    /**
+     * Creates a record of a change of the sequence, holding the current next operation id and
+     * the splices of the sequence data array applied afterwards.
+     * 
+     * @private
+     * @method createChange
+     * 
+     * @returns {Object} - An object with the properties `nextId` and `splices`.
+     */
+    #createChange() {
+        return {
+            nextId: this.#nextId,
+            splices: [],
+        };
+    }
+
+    /**
+     * Removes and inserts operation entries at the provided index of the sequence data array
+     * and adds the splice to the change being recorded, if any. Entries are never modified in
+     * place, so the recorded entries don't need to be copied.
+     * 
+     * @private
+     * @method spliceSequenceData
+     * 
+     * @param {number} index - The index at which to start changing the sequence data array.
+     * @param {number} deleteCount - The number of entries to be removed.
+     * @param {Array<Object>} [entries] - The entries to be inserted.
+     */
+    #spliceSequenceData(index, deleteCount, entries = []) {
+        index = Math.min(index, this.#sequenceData.length);
+        const removed = this.#applySplice(index, deleteCount, entries);
+        if (this.#pendingChange !== undefined) {
+            this.#pendingChange.splices.push({ index, removed, added: [...entries] });
+        }
+    }
+
+    /**
+     * Replaces all operation entries of the sequence data array with the provided entries.
+     * (see `spliceSequenceData`)
+     * 
+     * @private
+     * @method setSequenceData
+     * 
+     * @param {Array<Object>} entries - The new operation entries.
+     */
+    #setSequenceData(entries) {
+        this.#spliceSequenceData(0, this.#sequenceData.length, entries);
+    }
+
+    /**
+     * Removes and inserts operation entries at the provided index of the sequence data array.
+     * 
+     * @private
+     * @method applySplice
+     * 
+     * @param {number} index - The index at which to start changing the sequence data array.
+     * @param {number} deleteCount - The number of entries to be removed.
+     * @param {Array<Object>} entries - The entries to be inserted.
+     * @returns {Array<Object>} - The removed entries.
+     */
+    #applySplice(index, deleteCount, entries) {
+        if (index === 0 && deleteCount >= this.#sequenceData.length) {
+            const removed = this.#sequenceData;
+            this.#sequenceData = [...entries];
+            return removed;
+        }
+        // NOTE: Spreading large arrays into `splice` exceeds the maximum number of arguments.
+        if (entries.length > 1000) {
+            const removed = this.#sequenceData.slice(index, index + deleteCount);
+            this.#sequenceData = [
+                ...this.#sequenceData.slice(0, index),
+                ...entries,
+                ...this.#sequenceData.slice(index + deleteCount),
+            ];
+            return removed;
+        }
+        return this.#sequenceData.splice(index, deleteCount, ...entries);
+    }
+
+    /**
+     * Reverts the provided splices of the sequence data array in reverse order.
+     * 
+     * @private
+     * @method revertSplices
+     * 
+     * @param {Array<Object>} splices - The splices to be reverted. (see `spliceSequenceData`)
+     */
+    #revertSplices(splices) {
+        for (let i = splices.length - 1; i >= 0; i--) {
+            this.#applySplice(splices[i].index, splices[i].added.length, splices[i].removed);
+        }
+    }
+
+    /**
+     * Reverts the provided change of the sequence. Afterwards the change holds the next
+     * operation id from before reverting it, so that it can be reapplied.
+     * 
+     * @private
+     * @method revertChange
+     * 
+     * @param {Object} change - The change to be reverted. (see `createChange`)
+     */
+    #revertChange(change) {
+        this.#revertSplices(change.splices);
+        [this.#nextId, change.nextId] = [change.nextId, this.#nextId];
+        this.#computeSequence();
+    }
+
+    /**
+     * Reapplies the provided change of the sequence reverted via `revertChange`.
+     * 
+     * @private
+     * @method reapplyChange
+     * 
+     * @param {Object} change - The change to be reapplied. (see `createChange`)
+     */
+    #reapplyChange(change) {
+        for (const splice of change.splices) {
+            this.#applySplice(splice.index, splice.removed.length, splice.added);
+        }
+        [this.#nextId, change.nextId] = [change.nextId, this.#nextId];
+        this.#computeSequence();
+    }
+
+    /**
+     * Creates a deep copy of the provided sequence data array.
+     * 
+     * @private
+     * @method cloneSequenceData
+     * 
+     * @param {Array<Object>} sequenceData - The sequence data array to be copied.
+     * @returns {Array<Object>}
+     */
+    #cloneSequenceData(sequenceData) {
+        return sequenceData.map(entry => {
+            const clone = { ...entry, values: [...entry.values] };
+            if (entry.children !== undefined) {
+                clone.children = this.#cloneSequenceData(entry.children);
+            }
+            return clone;
+        });
+    }
+
+    /**
+     * Creates a frozen copy of the provided sequence data array, including its entries and
+     * their values.
+     * 
+     * @private
+     * @method freezeSequenceData
+     * 
+     * @param {Array<Object>} sequenceData - The sequence data array to be copied.
+     * @returns {Array<Object>} - The frozen copy.
+     */
+    #freezeSequenceData(sequenceData) {
+        return Object.freeze(sequenceData.map(entry => {
+            const frozenEntry = { ...entry, values: Object.freeze([...entry.values]) };
+            if (entry.children !== undefined) {
+                frozenEntry.children = this.#freezeSequenceData(entry.children);
+            }
+            return Object.freeze(frozenEntry);
+        }));
+    }
+
+    /**
+     * Assigns new ids to copies of the provided operation entries, including the operations of
+     * control-flow blocks.
+     * 
+     * @private
+     * @method assignIds
+     * 
+     * @param {Array<Object>} entries - Objects with the properties `operation`, `values` and,
+     *      if a control-flow block, `children`.
+     * @returns {Array<Object>} - The operation entries with ids.
+     */
+    #assignIds(entries) {
+        return entries.map(entry => {
+            const entryWithId = {
+                id: this.#nextId++,
+                operation: entry.operation,
+                values: [...entry.values],
+            };
+            if (entry.children !== undefined) {
+                entryWithId.children = this.#assignIds(entry.children);
+            }
+            return entryWithId;
+        });
+    }
+
+    /**
+     * Returns the provided operation entries and the operations of their control-flow blocks
+     * in sequence order.
+     * 
+     * @private
+     * @method flattenEntries
+     * 
+     * @param {Array<Object>} entries - The operation entries.
+     * @returns {Array<Object>} - The flattened operation entries.
+     */
+    #flattenEntries(entries) {
+        return entries.flatMap(entry => (
+            entry.children !== undefined ? [entry, ...this.#flattenEntries(entry.children)] : [entry]
+        ));
+    }
+
+    /**
+     * Returns the character sequence.
+     * 
+     * @method getSequence
+     * 
+     * @returns {string} - The character sequence
+     */
+    getSequence() {
+        return this.#sequence;
+    }
+
+    /**
+     * Returns a frozen copy of the sequence data array.
+     * 
+     * @method getSequenceData
+     * 
+     * @return {Array<Object>} - The sequence data array
+     */
+    getSequenceData() {
+        return this.#freezeSequenceData(this.#sequenceData);
+    }
+
+    /**
+     * Encodes the sequence data array into a compact binary representation. Operations and
+     * values are packed using the minimum bit width for the number of registered operations and
+     * values, followed by a checksum. Operation ids are not preserved.
+     * 
+     * *Note: The encoded data can only be decoded by an OpString instance with the same
+     * registered operations and values. Value symbols registered with a value of `null`, e.g.
+     * unknown symbols of a sequence set via `setSequence`, are escaped like unregistered
+     * symbols and don't count as registered.*
+     * 
+     * @method encode
+     * 
+     * @param {Object} [options] - Object to configure the encoding.
+     * @param {string} [options.format] - The format of the encoded data, either `'base64url'` for
+     *      a URL-safe string or `'uint8array'` for a Uint8Array. (default: 'base64url')
+     * @returns {string|Uint8Array|undefined} - The encoded data, or `undefined` if the sequence
+     *      data couldn't be encoded.
+     */
+    encode(options) {
+        try {
+            this.#validateArguments('encode', arguments);
+            const format = options !== undefined && options.format !== undefined ? options.format : 'base64url';
+            const { operationSymbols, valueSymbols } = this.#getEncodingAlphabets(true);
+            const operationBits = this.#computeBitWidth(operationSymbols.length + 1);
+            const valueBits = this.#computeBitWidth(valueSymbols.length + 1);
+            const maxValuesCount = this.#flattenEntries(this.#sequenceData).reduce((max, entry) => Math.max(max, entry.values.length), 0);
+            const countBits = this.#computeBitWidth(maxValuesCount + 1);
+            // NOTE: The bits are written to a growing buffer, which reserves 2 bytes for the checksum.
+            let buffer = new Uint8Array(64);
+            let bitLength = 0;
+            const writeBits = (value, width) => {
+                const byteLength = Math.ceil((bitLength + width) / 8) + 2;
+                if (byteLength > buffer.length) {
+                    const grownBuffer = new Uint8Array(Math.max(buffer.length * 2, byteLength));
+                    grownBuffer.set(buffer);
+                    buffer = grownBuffer;
+                }
+                for (let i = width - 1; i >= 0; i--) {
+                    if (Math.floor(value / 2 ** i) % 2 === 1) {
+                        buffer[bitLength >> 3] |= 128 >> (bitLength & 7);
+                    }
+                    bitLength++;
+                }
+            };
+            const writeVarint = (value) => {
+                do {
+                    writeBits(value % 128, 7);
+                    value = Math.floor(value / 128);
+                    writeBits(value > 0 ? 1 : 0, 1);
+                } while (value > 0);
+            };
+            const writeSymbol = (symbol, symbols, width) => {
+                const index = symbols.indexOf(symbol);
+                writeBits(index + 1, width);
+                if (index === -1) {
+                    /**
+                     * NOTE: Unregistered symbols and inline numeric literals are escaped with
+                     * the index 0 and written either as a 21-bit character code, or as a string
+                     * of UTF-16 code units prefixed with its length.
+                     */
+                    if (typeof symbol === 'string') {
+                        writeBits(1, 1);
+                        writeVarint(symbol.length);
+                        for (let i = 0; i < symbol.length; i++) {
+                            writeBits(symbol.charCodeAt(i), 16);
+                        }
+                    } else {
+                        writeBits(0, 1);
+                        writeBits(symbol, 21);
+                    }
+                }
+            };
+            const writeEntries = (entries) => {
+                for (const entry of entries) {
+                    writeSymbol(entry.operation, operationSymbols, operationBits);
+                    writeBits(entry.values.length, countBits);
+                    for (const value of entry.values) {
+                        writeSymbol(value, valueSymbols, valueBits);
+                    }
+                    if (entry.children !== undefined) {
+                        // NOTE: The operations of control-flow blocks follow their count.
+                        writeVarint(entry.children.length);
+                        writeEntries(entry.children);
+                    }
+                }
+            };
+            writeBits(this.#encodingVersion, 8);
+            writeBits(this.#computeChecksum(this.#getEncodingMappingsKey(operationSymbols, valueSymbols)), 16);
+            writeVarint(this.#sequenceData.length);
+            writeBits(countBits, 5);
+            writeEntries(this.#sequenceData);
+            const bytes = buffer.slice(0, Math.ceil(bitLength / 8) + 2);
+            const checksum = this.#computeChecksum(bytes.subarray(0, bytes.length - 2));
+            bytes[bytes.length - 2] = checksum >> 8;
+            bytes[bytes.length - 1] = checksum & 255;
+            return format === 'uint8array' ? bytes : this.#encodeBase64Url(bytes);
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Decodes the provided data created by `encode` and sets it as the sequence data array.
+     * The decoded operations are assigned new ids. Like `setSequence`, a decoded sequence
+     * exceeding the configured `maxSequenceLength` is only set if `strictMode` is disabled.
+     * 
+     * @method decode
+     * 
+     * @param {string|Uint8Array} data - The encoded data, either as a base64url string or as a
+     *      Uint8Array.
+     * 
+     * @throws {SyntaxError} - If the data is malformed or its checksum doesn't match.
+     * @throws {ReferenceError} - If the registered operations and values differ from the ones
+     *      used for encoding.
+     * 
+     * @returns {boolean} - If the data was decoded `true`, otherwise `false`.
+     */
+    decode(data) {
+        try {
+            this.#validateArguments('decode', arguments);
+            const bytes = typeof data === 'string' ? this.#decodeBase64Url(data) : data;
+            if (bytes.length < 3) {
+                throw new OpStringSyntaxError(`Cannot decode data, since it is malformed.`, 'OPSTRING_MALFORMED_DATA');
+            }
+            const checksum = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+            if (checksum !== this.#computeChecksum(bytes.subarray(0, bytes.length - 2))) {
+                throw new OpStringSyntaxError(`Cannot decode data, since its checksum doesn't match.`, 'OPSTRING_MALFORMED_DATA');
+            }
+            const bitsLength = (bytes.length - 2) * 8;
+            let position = 0;
+            const readBits = (width) => {
+                if (position + width > bitsLength) {
+                    throw new OpStringSyntaxError(`Cannot decode data, since it is malformed.`, 'OPSTRING_MALFORMED_DATA');
+                }
+                let value = 0;
+                for (let i = 0; i < width; i++, position++) {
+                    value = value * 2 + ((bytes[position >> 3] >> (7 - (position % 8))) & 1);
+                }
+                return value;
+            };
+            const readVarint = () => {
+                let value = 0;
+                let factor = 1;
+                let hasMore;
+                do {
+                    value += readBits(7) * factor;
+                    factor *= 128;
+                    hasMore = readBits(1) === 1;
+                } while (hasMore);
+                return value;
+            };
+            const readSymbol = (symbols, width) => {
+                const index = readBits(width);
+                if (index > symbols.length) {
+                    throw new OpStringSyntaxError(`Cannot decode data, since it is malformed.`, 'OPSTRING_MALFORMED_DATA');
+                } else if (index > 0) {
+                    return symbols[index - 1];
+                } else if (readBits(1) === 1) {
+                    const length = readVarint();
+                    let symbol = '';
+                    for (let i = 0; i < length; i++) {
+                        symbol += String.fromCharCode(readBits(16));
+                    }
+                    return symbol;
+                }
+                return readBits(21);
+            };
+            const version = readBits(8);
+            if (version !== this.#encodingVersion) {
+                throw new OpStringSyntaxError(`Cannot decode data with encoding version ${version}. The supported encoding version is ${this.#encodingVersion}.`, 'OPSTRING_UNSUPPORTED_VERSION');
+            }
+            const { operationSymbols, valueSymbols } = this.#getEncodingAlphabets(true);
+            if (readBits(16) !== this.#computeChecksum(this.#getEncodingMappingsKey(operationSymbols, valueSymbols))) {
+                throw new OpStringReferenceError(`Cannot decode data, since the registered operations and values differ from the ones used for encoding.`, 'OPSTRING_MAPPING_MISMATCH');
+            }
+            const operationBits = this.#computeBitWidth(operationSymbols.length + 1);
+            const valueBits = this.#computeBitWidth(valueSymbols.length + 1);
+            const readEntries = (entriesCount) => {
+                const entries = [];
+                for (let i = 0; i < entriesCount; i++) {
+                    const operation = readSymbol(operationSymbols, operationBits);
+                    const valuesCount = readBits(countBits);
+                    const values = [];
+                    for (let j = 0; j < valuesCount; j++) {
+                        values.push(readSymbol(valueSymbols, valueBits));
+                    }
+                    const controlType = this.#getControlType(operation);
+                    if (controlType !== undefined && controlType !== 'end') {
+                        entries.push({ operation, values, children: readEntries(readVarint()) });
+                    } else {
+                        entries.push({ operation, values });
+                    }
+                }
+                return entries;
+            };
+            const entriesCount = readVarint();
+            const countBits = readBits(5);
+            const entries = readEntries(entriesCount);
+            if (! this.#isSequenceLengthWithinLimit(this.#renderEntries(entries))) {
+                // NOTE: Like `setSequence`, the decoded sequence is only refused in `strictMode`.
+                const error = new OpStringRangeError(
+                    this.#strictMode
+                        ? `Cannot decode data, since the decoded sequence exceeds the configured 'maxSequenceLength' of ${this.#maxSequenceLength} characters.`
+                        : `Decoding data despite exceeded length. The decoded sequence exceeds the configured 'maxSequenceLength' of ${this.#maxSequenceLength} characters.`,
+                    'OPSTRING_MAX_LENGTH'
+                );
+                if (this.#strictMode) {
+                    throw error;
+                }
+                this.#logError(error);
+            }
+            this.#replaceSequenceData(entries);
+            return true;
+        } catch (error) {
+            this.#logError(error);
+        }
+        return false;
+    }
+
+    /**
+     * Compresses the sequence by extracting repeated runs of operations into generated macros,
+     * which are defined by define blocks at the start of the sequence and invoked in place of
+     * the runs. The compressed sequence executes the same operations as the original sequence.
+     * Runs are extracted greedily by the number of characters saved, as long as the sequence
+     * gets shorter. Macros are allocated unused symbols of the configured `symbolAlphabet` as
+     * names, and may invoke macros extracted before them.
+     * 
+     * Only top-level operations are extracted; define blocks and invocations of existing
+     * macros are kept in place, and other control-flow blocks are extracted as a whole.
+     * 
+     * *Note: Requires the `define` control symbol of the `controlSymbols` configuration.*
+     * 
+     * @method compress
+     * 
+     * @returns {Object|undefined} - The report containing the `originalLength` and the
+     *      `compressedLength` of the character sequence, their `ratio` and the extracted
+     *      `macros`, mapping the macro names to their character sequences, or `undefined` if
+     *      the sequence couldn't be compressed.
+     */
+    compress() {
+        try {
+            this.#validateArguments('compress', arguments);
+            const originalLength = this.#sequence.length;
+            const defineChar = this.#computeChar(this.#controlSymbols.define);
+            const endChar = this.#computeChar(this.#controlSymbols.end);
+            const existingMacros = new Set(
+                this.#flattenEntries(this.#sequenceData)
+                    .filter(entry => this.#getControlType(entry.operation) === 'define')
+                    .map(entry => String(entry.values[0]))
+            );
+            const usedCharCodes = new Set([
+                ...this.#flattenEntries(this.#sequenceData).flatMap(entry => [entry.operation, ...entry.values]).map(String),
+                ...Object.values(this.#controlSymbols).map(String),
+            ]);
+            const isUsed = charCode => (
+                usedCharCodes.has(String(charCode))
+                || this.#operations[charCode] !== undefined
+                || this.#values[charCode] !== undefined
+            );
+            const keyIds = new Map();
+            const toUnit = entry => {
+                const key = this.#renderEntries([entry]);
+                if (! keyIds.has(key)) {
+                    keyIds.set(key, keyIds.size);
+                }
+                return {
+                    entry,
+                    id: keyIds.get(key),
+                    length: key.length,
+                    // NOTE: Moving definitions or invocations of existing macros, also within blocks, would change their scope.
+                    extractable: this.#flattenEntries([entry]).every(flattenedEntry => (
+                        this.#getControlType(flattenedEntry.operation) !== 'define'
+                        && ! existingMacros.has(String(flattenedEntry.operation))
+                    )),
+                };
+            };
+            let units = this.#sequenceData.map(toUnit);
+            const definitions = [];
+            const macros = {};
+            while (units.length > 1) {
+                let nameCharCode;
+                try {
+                    nameCharCode = this.#allocateCharCode(isUsed);
+                } catch (error) {
+                    // NOTE: Stop extracting when the symbol alphabet is exhausted.
+                    break;
+                }
+                const nameLength = this.#computeChar(nameCharCode).length;
+                const overhead = defineChar.length + nameLength + endChar.length;
+                const runs = new Map();
+                let best;
+                for (let i = 0; i < units.length; i++) {
+                    let key = '';
+                    let length = 0;
+                    for (let j = i; j < units.length && j - i < Math.floor(units.length / 2); j++) {
+                        if (! units[j].extractable) {
+                            break;
+                        }
+                        key += `${units[j].id},`;
+                        length += units[j].length;
+                        let run = runs.get(key);
+                        if (run === undefined) {
+                            run = { start: i, size: j - i + 1, length, count: 0, end: 0 };
+                            runs.set(key, run);
+                        }
+                        if (i >= run.end) {
+                            run.count++;
+                            run.end = i + run.size;
+                        }
+                    }
+                }
+                for (const run of runs.values()) {
+                    const saved = (run.count - 1) * run.length - run.count * nameLength - overhead;
+                    if (saved > 0 && (best === undefined || saved > best.saved)) {
+                        best = { ...run, saved };
+                    }
+                }
+                if (best === undefined) {
+                    break;
+                }
+                const runUnits = units.slice(best.start, best.start + best.size);
+                const runIds = runUnits.map(unit => unit.id).join(',');
+                const children = runUnits.map(unit => unit.entry);
+                const call = toUnit({ operation: nameCharCode, values: [] });
+                const compressedUnits = [];
+                for (let i = 0; i < units.length; i++) {
+                    if (
+                        i + best.size <= units.length
+                        && units.slice(i, i + best.size).map(unit => unit.id).join(',') === runIds
+                    ) {
+                        compressedUnits.push(call);
+                        i += best.size - 1;
+                    } else {
+                        compressedUnits.push(units[i]);
+                    }
+                }
+                units = compressedUnits;
+                usedCharCodes.add(String(nameCharCode));
+                definitions.push({ operation: this.#controlSymbols.define, values: [nameCharCode], children });
+                macros[this.#computeChar(nameCharCode)] = this.#renderEntries(children);
+            }
+            if (definitions.length > 0) {
+                const compressed = [...definitions, ...units.map(unit => unit.entry)];
+                const flags = {};
+                for (const entry of this.#flattenEntries(this.#sequenceData)) {
+                    if (this.#getControlType(entry.operation) === 'condition' && entry.values.length > 0) {
+                        flags[this.#computeChar(entry.values[0])] = true;
+                    }
+                }
+                const computeExpansionKey = (entries, expansionFlags) => {
+                    const expanded = [];
+                    this.#expandEntries(entries, expansionFlags, new Map(), expanded, undefined, []);
+                    return JSON.stringify(expanded.map(entry => [entry.operation, entry.values]));
+                };
+                if (
+                    computeExpansionKey(this.#sequenceData, {}) !== computeExpansionKey(compressed, {})
+                    || computeExpansionKey(this.#sequenceData, flags) !== computeExpansionKey(compressed, flags)
+                ) {
+                    throw new OpStringRangeError(`Cannot compress, since the compressed sequence wouldn't execute the same operations.`, 'OPSTRING_CONTROL_ERROR');
+                }
+                this.#replaceSequenceData(compressed);
+            }
+            return {
+                originalLength,
+                compressedLength: this.#sequence.length,
+                ratio: originalLength > 0 ? this.#sequence.length / originalLength : 1,
+                macros,
+            };
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Decompresses the sequence by inlining the operations of invoked macros and removing the
+     * define blocks, e.g. to reverse `compress`. Other control-flow blocks are kept.
+     * 
+     * @method decompress
+     * 
+     * @returns {Object|undefined} - The report containing the `originalLength` of the
+     *      decompressed and the `compressedLength` of the previous character sequence, and
+     *      their `ratio`, or `undefined` if the sequence couldn't be decompressed.
+     */
+    decompress() {
+        try {
+            this.#validateArguments('decompress', arguments);
+            const compressedLength = this.#sequence.length;
+            if (this.#flattenEntries(this.#sequenceData).some(entry => this.#getControlType(entry.operation) === 'define')) {
+                const entries = this.#inlineMacros(this.#sequenceData, new Map());
+                const sequence = this.#renderEntries(entries);
+                if (! this.#isSequenceLengthWithinLimit(sequence)) {
+                    throw new OpStringRangeError(`Cannot decompress, since the decompressed sequence exceeds the maximum length of ${this.#maxSequenceLength}.`, 'OPSTRING_MAX_LENGTH');
+                }
+                this.#replaceSequenceData(entries);
+            }
+            return {
+                originalLength: this.#sequence.length,
+                compressedLength,
+                ratio: this.#sequence.length > 0 ? compressedLength / this.#sequence.length : 1,
+            };
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Generates a random character sequence of the registered operations and values, e.g. to
+     * derive a sequence from a hash. Operations are picked based on their `weights` and
+     * receive as many values as their declared arity, or otherwise their parameter schema or
+     * the number of parameters of their callback, allows. Values are picked from the
+     * registered values matching the parameter schema of the operation. Symbols registered as
+     * both operation and value, as well as values of `null` or `undefined`, aren't generated.
+     * The sequence is cut short before exceeding the configured `maxSequenceLength`.
+     * 
+     * The same `seed` always yields the same sequence for the same registered operations and
+     * values. Neither the sequence nor the sequence data array are mutated. It's an instance
+     * method, since it draws on the mappings of the instance.
+     * 
+     * @method generate
+     * 
+     * @param {Object} options - Object to configure the generation.
+     * @param {number} options.length - The number of operations to be generated.
+     * @param {Object} [options.weights] - Object mapping operation symbols or labels to their
+     *      non-negative weights. Unlisted operations have a weight of `1`.
+     * @param {string|number} [options.seed] - The seed of the pseudorandom number generator.
+     * @param {function} [options.rng] - A function returning pseudorandom numbers between 0
+     *      (inclusive) and 1 (exclusive), e.g. `fxrand`, used instead of the `seed`.
+     *      (default: Math.random, unless a `seed` is provided)
+     * @returns {string|undefined} - The generated character sequence, or `undefined` if no
+     *      sequence could be generated.
+     */
+    generate(options) {
+        try {
+            this.#validateArguments('generate', arguments);
+            const random = this.#getRandom(options, 'generate');
+            const weights = {};
+            if (options.weights !== undefined) {
+                for (const [symbol, weight] of Object.entries(options.weights)) {
+                    weights[this.#resolveSymbolOrLabel(symbol)] = weight;
+                }
+            }
+            const candidates = this.#getGenerationCandidates(weights);
+            if (options.length > 0 && candidates.length === 0) {
+                throw new OpStringReferenceError(`Cannot generate, since no registered operation with a weight greater than 0 can receive its required values.`, 'OPSTRING_UNKNOWN_OPERATION');
+            }
+            let sequence = '';
+            let length = 0;
+            for (let i = 0; i < options.length; i++) {
+                const entry = this.#renderEntries([this.#generateEntry(candidates, random)]);
+                const entryLength = this.#computeLength(entry);
+                if (this.#maxSequenceLength !== undefined && length + entryLength > this.#maxSequenceLength) {
+                    break;
+                }
+                sequence += entry;
+                length += entryLength;
+            }
+            return sequence;
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Mutates the sequence for evolutionary workflows. Each top-level operation is mutated
+     * with the probability `rate` by one of the following, randomly picked `kinds`:
+     *  - `replaceValue`: One of its values is replaced by another value matching the
+     *    parameter schema of the operation.
+     *  - `replaceOp`: It is replaced by a generated operation. (see `generate`)
+     *  - `insert`: A generated operation is inserted after it.
+     *  - `delete`: It is removed.
+     *  - `swap`: It is swapped with another operation.
+     * 
+     * Control-flow blocks, invocations of macros and operations, of which the symbol is also
+     * registered as value, aren't mutated. Mutations that would exceed the configured
+     * `maxSequenceLength` are skipped. Unmutated operations keep their ids. The change can be
+     * reverted via `undo`.
+     * 
+     * @method mutate
+     * 
+     * @param {Object} options - Object to configure the mutation.
+     * @param {number} options.rate - The probability between 0 and 1 of each operation to be
+     *      mutated.
+     * @param {Array<string>} [options.kinds] - The kinds of mutations to be applied;
+     *      'replaceValue', 'replaceOp', 'insert', 'delete' or 'swap'. (default: all kinds)
+     * @param {string|number} [options.seed] - The seed of the pseudorandom number generator.
+     * @param {function} [options.rng] - A function returning pseudorandom numbers between 0
+     *      (inclusive) and 1 (exclusive), used instead of the `seed`. (default: Math.random,
+     *      unless a `seed` is provided)
+     * @returns {number|undefined} - The number of applied mutations, or `undefined` if the
+     *      options are invalid or the mutation fails, e.g. because the `rng` doesn't return
+     *      numbers between 0 and 1, in which case the sequence is left unchanged.
+     */
+    mutate(options) {
+        try {
+            this.#validateArguments('mutate', arguments);
+        } catch (error) {
+            this.#logError(error);
+            return undefined;
+        }
+        const nextId = this.#nextId;
+        try {
+            const random = this.#getRandom(options, 'mutate');
+            const pick = (count) => Math.min(Math.floor(random() * count), count - 1);
+            const kinds = options.kinds !== undefined ? options.kinds : this.#mutationKinds;
+            const candidates = this.#getGenerationCandidates({});
+            const findCandidate = operationCharCode => candidates.find(candidate => candidate.operationCharCode === operationCharCode);
+            const computeEntryLength = entry => this.#computeLength(this.#renderEntries([entry]));
+            const isWithinLimit = length => this.#maxSequenceLength === undefined || length <= this.#maxSequenceLength;
+            const entries = [...this.#sequenceData];
+            const isMutable = entry => entry.children === undefined && findCandidate(entry.operation) !== undefined;
+            const mutated = [];
+            // NOTE: Positions of the kept entries of the sequence data array in the mutated array.
+            const positions = new Map();
+            const keep = (entry) => {
+                positions.set(entry.id, mutated.length);
+                mutated.push(entry);
+            };
+            let length = this.#computeLength(this.#sequence);
+            let count = 0;
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+                if (! isMutable(entry) || random() >= options.rate) {
+                    keep(entry);
+                    continue;
+                }
+                const kind = kinds[pick(kinds.length)];
+                if (kind === 'delete') {
+                    length -= computeEntryLength(entry);
+                    count++;
+                    continue;
+                }
+                if (kind === 'swap') {
+                    // NOTE: Preceding operations can only be swapped if they haven't been mutated.
+                    const indexes = entries
+                        .map((other, index) => index)
+                        .filter(index => index !== i && isMutable(entries[index]) && (index > i || positions.has(entries[index].id)));
+                    if (indexes.length > 0) {
+                        const index = indexes[pick(indexes.length)];
+                        if (index < i) {
+                            const position = positions.get(entries[index].id);
+                            positions.delete(entries[index].id);
+                            positions.set(entry.id, position);
+                            mutated[position] = entry;
+                        }
+                        entries[i] = entries[index];
+                        entries[index] = entry;
+                        count++;
+                    }
+                    keep(entries[i]);
+                    continue;
+                }
+                let replacement = entry;
+                if (kind === 'replaceValue') {
+                    const slots = findCandidate(entry.operation).slots;
+                    const indexes = entry.values
+                        .map((value, index) => index)
+                        .filter(index => index < slots.length && slots[index].some(valueCharCode => valueCharCode !== entry.values[index]));
+                    if (indexes.length > 0) {
+                        const index = indexes[pick(indexes.length)];
+                        const slotValues = slots[index].filter(valueCharCode => valueCharCode !== entry.values[index]);
+                        const values = [...entry.values];
+                        values[index] = slotValues[pick(slotValues.length)];
+                        replacement = { id: this.#nextId++, operation: entry.operation, values };
+                    }
+                } else if (kind === 'replaceOp') {
+                    replacement = { id: this.#nextId++, ...this.#generateEntry(candidates, random) };
+                }
+                if (replacement !== entry) {
+                    const replacementLength = length - computeEntryLength(entry) + computeEntryLength(replacement);
+                    if (isWithinLimit(replacementLength)) {
+                        length = replacementLength;
+                        count++;
+                    } else {
+                        replacement = entry;
+                    }
+                }
+                if (replacement === entry) {
+                    keep(entry);
+                } else {
+                    mutated.push(replacement);
+                }
+                if (kind === 'insert') {
+                    const inserted = { id: this.#nextId++, ...this.#generateEntry(candidates, random) };
+                    const insertedLength = computeEntryLength(inserted);
+                    if (isWithinLimit(length + insertedLength)) {
+                        mutated.push(inserted);
+                        length += insertedLength;
+                        count++;
+                    }
+                }
+            }
+            if (count > 0) {
+                const before = this.#sequence;
+                this.#recordHistory();
+                this.#setSequenceData(mutated);
+                this.#computeSequence();
+                this.#emitSequenceChange(before);
+            }
+            return count;
+        } catch (error) {
+            this.#nextId = nextId;
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Creates a new OpString instance by cloning the first instance and setting a sequence
+     * combined of alternating segments of the sequences of both instances, which are cut at
+     * the same number of random top-level operation boundaries. Both instances must have the
+     * same registered operation and value symbols and the same `controlSymbols`
+     * configuration. Invocations of macros, which aren't defined by a preceding segment, are
+     * omitted, and the sequence is cut short before exceeding the configured
+     * `maxSequenceLength` of the first instance.
+     * 
+     * @method crossover
+     * @static
+     * 
+     * @param {OpString} a - The OpString instance to be cloned, of which the sequence provides
+     *      the first segment.
+     * @param {OpString} b - The OpString instance, of which the sequence provides the second
+     *      segment.
+     * @param {Object} [options] - Object to configure the crossover.
+     * @param {number} [options.points] - The number of crossover points. (default: 1)
+     * @param {string|number} [options.seed] - The seed of the pseudorandom number generator.
+     * @param {function} [options.rng] - A function returning pseudorandom numbers between 0
+     *      (inclusive) and 1 (exclusive), used instead of the `seed`. (default: Math.random,
+     *      unless a `seed` is provided)
+     * @returns {OpString|undefined} - The new OpString instance, or `undefined` if the instances
+     *      couldn't be crossed over.
+     * 
+     * @throws {TypeError} - If `a` is not an OpString instance, since errors can't be reported
+     *      otherwise.
+     */
+    static crossover(a, b, options) {
+        if (! (a instanceof OpString)) {
+            throw new OpStringTypeError(`Cannot crossover, since the 'a' parameter must be an OpString instance.`, 'OPSTRING_INVALID_ARGUMENT');
+        }
+        try {
+            a.#validateArguments('crossover', [a, b, options]);
+            const random = a.#getRandom(options !== undefined ? options : {}, 'crossover');
+            const points = options !== undefined && options.points !== undefined ? options.points : 1;
+            const computeCuts = (entries) => {
+                const cuts = [];
+                for (let i = 0; i < points; i++) {
+                    cuts.push(Math.min(Math.floor(random() * (entries.length + 1)), entries.length));
+                }
+                return [0, ...cuts.sort((x, y) => x - y), entries.length];
+            };
+            const parents = [a.#sequenceData, b.#sequenceData];
+            const cuts = parents.map(computeCuts);
+            const macros = new Set();
+            const entries = [];
+            let length = 0;
+            segments: for (let i = 0; i <= points; i++) {
+                const parent = i % 2;
+                for (const entry of parents[parent].slice(cuts[parent][i], cuts[parent][i + 1])) {
+                    const controlType = a.#getControlType(entry.operation);
+                    if (
+                        controlType === undefined
+                        && a.#operations[entry.operation] === undefined
+                        && ! macros.has(String(entry.operation))
+                    ) {
+                        continue;
+                    }
+                    const entryLength = a.#computeLength(a.#renderEntries([entry]));
+                    if (a.#maxSequenceLength !== undefined && length + entryLength > a.#maxSequenceLength) {
+                        break segments;
+                    }
+                    if (controlType === 'define' && entry.values.length > 0) {
+                        macros.add(String(entry.values[0]));
+                    }
+                    entries.push(entry);
+                    length += entryLength;
+                }
+            }
+            const child = a.clone({ withSequence: false });
+            child.#sequenceData = child.#assignIds(entries);
+            child.#computeSequence();
+            return child;
+        } catch (error) {
+            a.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Computes a deterministic fingerprint of the sequence, e.g. to de-duplicate outputs or to
+     * cache renders. The fingerprint is computed from the operations and values of the sequence
+     * data array, including control-flow blocks, but not from the operation ids, so that
+     * equivalent sequences have the same fingerprint.
+     * 
+     * If `includeMappings` is `true`, the registered operation symbols with their arities and
+     * parameter schemas, the registered values and labels, as well as the `codePointMode`,
+     * `literals` and `controlSymbols` configuration are included. Values are normalized, i.e.
+     * the order of object properties and of the entries of maps and sets is ignored, instances
+     * of classes are compared by their class name and own enumerable properties, and functions
+     * are compared by their source. Cyclic values and values without comparable state, e.g.
+     * weak maps or promises, can't be normalized. The callbacks of operations aren't included.
+     * 
+     * @method fingerprint
+     * 
+     * @param {Object} [options] - Object to configure the fingerprint.
+     * @param {boolean} [options.includeMappings] - Specifies whether the mappings should be
+     *      included. (default: false)
+     * @returns {string|undefined} - The fingerprint as hexadecimal string, or `undefined` if
+     *      the options are invalid or a registered value can't be normalized.
+     */
+    fingerprint(options) {
+        try {
+            this.#validateArguments('fingerprint', arguments);
+        } catch (error) {
+            this.#logError(error);
+            return undefined;
+        }
+        const includeMappings = options !== undefined && options.includeMappings === true;
+        try {
+            return this.#computeHash(this.#getFingerprintKey(includeMappings));
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Checks whether the provided OpString instance is semantically equal to the current
+     * instance, i.e. whether both have the same sequence regardless of the operation ids, and
+     * the same mappings. (see `fingerprint`)
+     * 
+     * @method equals
+     * 
+     * @param {OpString} other - The OpString instance to be compared.
+     * @returns {boolean} - If both instances are equal `true`, otherwise `false`, also if a
+     *      registered value can't be normalized.
+     */
+    equals(other) {
+        try {
+            this.#validateArguments('equals', arguments);
+        } catch (error) {
+            this.#logError(error);
+            return false;
+        }
+        try {
+            return other === this || this.#getFingerprintKey(true) === other.#getFingerprintKey(true);
+        } catch (error) {
+            this.#logError(error);
+        }
+        return false;
+    }
+
+    /**
+     * Returns the function returning pseudorandom numbers configured by the provided options,
+     * i.e. the `rng` option, a generator seeded by the `seed` option or `Math.random`. The
+     * numbers returned by the `rng` option are checked to be between 0 (inclusive) and 1
+     * (exclusive).
+     * 
+     * @private
+     * @method getRandom
+     * 
+     * @param {Object} options - Object with the optional properties `rng` and `seed`.
+     * @param {string} method - The method for which the numbers are used.
+     * @returns {function} - The function returning pseudorandom numbers.
+     * 
+     * @throws {OpStringRangeError} - If the `rng` option returns a number outside the range,
+     *      when the returned function is called.
+     */
+    #getRandom(options, method) {
+        if (options.rng !== undefined) {
+            const rng = options.rng;
+            return () => {
+                const number = rng();
+                if (typeof number !== 'number' || ! (number >= 0 && number < 1)) {
+                    throw new OpStringRangeError(`Cannot ${method}, since the 'rng' option must return numbers between 0 (inclusive) and 1 (exclusive), but returned ${String(number)}.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                return number;
+            };
+        } else if (options.seed !== undefined) {
+            return this.#createRandom(options.seed);
+        }
+        return Math.random;
+    }
+
+    /**
+     * Returns the registered operations which can be generated, i.e. whose weight is greater
+     * than 0, whose symbol isn't registered as value and whose required values are registered.
+     * Each candidate contains the values which can be generated for each of its parameters.
+     * (see `generate`)
+     * 
+     * @private
+     * @method getGenerationCandidates
+     * 
+     * @param {Object} weights - Object mapping operation character codes to their weights.
+     * @returns {Array<Object>} - Objects with the properties `operationCharCode`, `weight`,
+     *      `min`, i.e. the number of required values, and `slots`, i.e. the arrays of value
+     *      character codes which can be generated for each parameter.
+     */
+    #getGenerationCandidates(weights) {
+        const { operationSymbols, valueSymbols } = this.#getEncodingAlphabets();
+        const candidateValues = valueSymbols.filter(valueCharCode => (
+            this.#operations[valueCharCode] === undefined
+            && this.#values[valueCharCode] !== null
+            && this.#values[valueCharCode] !== undefined
+        ));
+        const candidates = [];
+        for (const operationCharCode of operationSymbols) {
+            const weight = weights[operationCharCode] !== undefined ? weights[operationCharCode] : 1;
+            if (weight === 0 || this.#values[operationCharCode] !== undefined) {
+                continue;
+            }
+            const arity = this.#arities[operationCharCode];
+            const params = this.#params[operationCharCode];
+            let min;
+            let max;
+            if (arity !== undefined) {
+                min = arity.min;
+                max = arity.max !== Infinity ? arity.max : Math.max(arity.min, params !== undefined ? params.length : this.#operations[operationCharCode].length);
+            } else if (params !== undefined) {
+                min = params.filter(param => ! param.optional).length;
+                max = params.length;
+            } else {
+                min = this.#operations[operationCharCode].length;
+                max = min;
+            }
+            const slots = [];
+            for (let i = 0; i < max; i++) {
+                const slotValues = params === undefined || params[i] === undefined
+                    ? candidateValues
+                    : candidateValues.filter(valueCharCode => this.#findParamIssue(params[i], this.#resolveValue(valueCharCode), i) === undefined);
+                if (slotValues.length === 0) {
+                    break;
+                }
+                slots.push(slotValues);
+            }
+            if (slots.length < min) {
+                // NOTE: Skip operations of which the required values aren't registered.
+                continue;
+            }
+            candidates.push({ operationCharCode, weight, min, slots });
+        }
+        return candidates;
+    }
+
+    /**
+     * Generates an operation entry by picking one of the provided candidates based on their
+     * weights, and its values.
+     * 
+     * @private
+     * @method generateEntry
+     * 
+     * @param {Array<Object>} candidates - The candidates returned by `getGenerationCandidates`.
+     * @param {function} random - The function returning pseudorandom numbers.
+     * @returns {Object} - An object with the properties `operation` and `values`.
+     */
+    #generateEntry(candidates, random) {
+        const pick = (count) => Math.min(Math.floor(random() * count), count - 1);
+        const totalWeight = candidates.reduce((total, candidate) => total + candidate.weight, 0);
+        let threshold = random() * totalWeight;
+        let candidate = candidates[candidates.length - 1];
+        for (let i = 0; i < candidates.length; i++) {
+            threshold -= candidates[i].weight;
+            if (threshold < 0) {
+                candidate = candidates[i];
+                break;
+            }
+        }
+        const values = [];
+        const valuesCount = candidate.min + pick(candidate.slots.length - candidate.min + 1);
+        for (let i = 0; i < valuesCount; i++) {
+            values.push(candidate.slots[i][pick(candidate.slots[i].length)]);
+        }
+        return { operation: candidate.operationCharCode, values };
+    }
+
+    /**
+     * Creates a seeded pseudorandom number generator (mulberry32), of which the seed is
+     * computed from the provided seed via `hashString`.
+     * 
+     * @private
+     * @method createRandom
+     * 
+     * @param {string|number} seed - The seed.
+     * @returns {function} - The function returning pseudorandom numbers between 0 (inclusive)
+     *      and 1 (exclusive).
+     */
+    #createRandom(seed) {
+        let state = this.#hashString(String(seed));
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Computes the 32-bit FNV-1a hash of the provided string.
+     * 
+     * @private
+     * @method hashString
+     * 
+     * @param {string} string - The string to be hashed.
+     * @returns {number} - The unsigned 32-bit hash.
+     */
+    #hashString(string) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < string.length; i++) {
+            hash ^= string.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Returns the normalized key of the sequence data array and, optionally, the mappings,
+     * from which the fingerprint is computed. (see `fingerprint`)
+     * 
+     * @private
+     * @method getFingerprintKey
+     * 
+     * @param {boolean} includeMappings - Specifies whether the mappings should be included.
+     * @returns {string} - The key.
+     */
+    #getFingerprintKey(includeMappings) {
+        const normalizeEntries = entries => entries.map(entry => (
+            entry.children !== undefined
+                ? [entry.operation, entry.values, normalizeEntries(entry.children)]
+                : [entry.operation, entry.values]
+        ));
+        const key = [normalizeEntries(this.#sequenceData)];
+        if (includeMappings) {
+            const { operationSymbols, valueSymbols } = this.#getEncodingAlphabets();
+            key.push(
+                operationSymbols.map(charCode => [
+                    charCode,
+                    this.#arities[charCode] !== undefined ? [this.#arities[charCode].min, String(this.#arities[charCode].max)] : null,
+                    this.#params[charCode] !== undefined ? this.#normalizeValue(this.#params[charCode]) : null,
+                ]),
+                valueSymbols.map(charCode => [charCode, this.#normalizeValue(this.#values[charCode])]),
+                Object.keys(this.#labels).sort().map(label => [label, this.#labels[label]]),
+                [this.#codePointMode, this.#literals !== undefined ? this.#normalizeValue(this.#literals) : null],
+                this.#controlSymbols !== undefined ? this.#normalizeValue(this.#controlSymbols) : null
+            );
+        }
+        return JSON.stringify(key);
+    }
+
+    /**
+     * Checks whether the provided values are equivalent, i.e. identical or equal when
+     * normalized. Values which can't be normalized are only equivalent if they're identical.
+     * 
+     * @private
+     * @method isSameValue
+     * 
+     * @param {*} a - The first value.
+     * @param {*} b - The second value.
+     * @returns {boolean} - Whether the values are equivalent.
+     */
+    #isSameValue(a, b) {
+        if (Object.is(a, b)) {
+            return true;
+        }
+        try {
+            return this.#normalizeValue(a) === this.#normalizeValue(b);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Normalizes the provided value into a string, which is equal for equivalent values, i.e.
+     * the order of object properties and of the entries of maps and sets is ignored, instances
+     * of classes are represented by their class name and own enumerable properties, and other
+     * values which can't be serialized to JSON are represented by their type and string
+     * conversion.
+     * 
+     * @private
+     * @method normalizeValue
+     * 
+     * @param {*} value - The value to be normalized.
+     * @param {Set<Object>} [ancestors] - The objects containing the value, in order to detect
+     *      cyclic values.
+     * @throws {OpStringTypeError} - If the value is cyclic or has no comparable state.
+     * @returns {string} - The normalized value.
+     */
+    #normalizeValue(value, ancestors = new Set()) {
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+            return JSON.stringify(value);
+        } else if (typeof value === 'number' && Number.isFinite(value)) {
+            return Object.is(value, -0) ? '-0' : String(value);
+        } else if (typeof value !== 'object') {
+            return `${typeof value}:${String(value)}`;
+        }
+        if (ancestors.has(value)) {
+            throw new OpStringTypeError(`Cannot normalize a registered value, since it is cyclic.`, 'OPSTRING_NOT_NORMALIZABLE');
+        }
+        ancestors.add(value);
+        const normalize = item => this.#normalizeValue(item, ancestors);
+        const normalizeProperties = object => Object.keys(object).sort().map(key => `${JSON.stringify(key)}:${normalize(object[key])}`).join(',');
+        let normalized;
+        if (Array.isArray(value)) {
+            normalized = `[${value.map(normalize).join(',')}]`;
+        } else if (this.#isPlainObject(value) || Object.getPrototypeOf(value) === null) {
+            normalized = `{${normalizeProperties(value)}}`;
+        } else if (value instanceof Map) {
+            normalized = `Map{${[...value].map(([key, item]) => `${normalize(key)}:${normalize(item)}`).sort().join(',')}}`;
+        } else if (value instanceof Set) {
+            normalized = `Set[${[...value].map(normalize).sort().join(',')}]`;
+        } else if (value instanceof Date) {
+            normalized = `Date:${value.getTime()}`;
+        } else if (
+            value instanceof RegExp
+            || value instanceof Number
+            || value instanceof String
+            || value instanceof Boolean
+        ) {
+            normalized = `${value.constructor.name}:${String(value)}`;
+        } else if (
+            value instanceof WeakMap
+            || value instanceof WeakSet
+            || value instanceof Promise
+            || Object.keys(value).length === 0
+        ) {
+            throw new OpStringTypeError(`Cannot normalize a registered value of type '${value.constructor !== undefined ? value.constructor.name : typeof value}', since it has no comparable state.`, 'OPSTRING_NOT_NORMALIZABLE');
+        } else {
+            const className = value.constructor !== undefined ? value.constructor.name : 'Object';
+            normalized = `${className}{${normalizeProperties(value)}}`;
+        }
+        ancestors.delete(value);
+        return normalized;
+    }
+
+    /**
+     * Computes a 53-bit hash (cyrb53) of the provided string.
+     * 
+     * @private
+     * @method computeHash
+     * 
+     * @param {string} string - The string to be hashed.
+     * @returns {string} - The hash as hexadecimal string of 14 characters.
+     */
+    #computeHash(string) {
+        let h1 = 0xDEADBEEF;
+        let h2 = 0x41C6CE57;
+        for (let i = 0; i < string.length; i++) {
+            const charCode = string.charCodeAt(i);
+            h1 = Math.imul(h1 ^ charCode, 2654435761);
+            h2 = Math.imul(h2 ^ charCode, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    }
+
+    /**
+     * Replaces the sequence data array with the provided operation entries, assigning new ids,
+     * and recomputes the character sequence. The change is recorded in the history and the
+     * `sequence` event is emitted.
+     * 
+     * @private
+     * @method replaceSequenceData
+     * 
+     * @param {Array<Object>} entries - Objects with the properties `operation` and `values`.
+     */
+    #replaceSequenceData(entries) {
+        const before = this.#sequence;
+        this.#recordHistory();
+        this.#setSequenceData(this.#assignIds(entries));
+        this.#computeSequence();
+        this.#emitSequenceChange(before);
+    }
+
+    /**
+     * Emits the `sequence` and `change` events after the whole sequence has been replaced.
+     * 
+     * @private
+     * @method emitSequenceChange
+     * 
+     * @param {string} before - The character sequence before it was replaced.
+     */
+    #emitSequenceChange(before) {
+        this.#emitChange('sequence', {
+            ids: this.#sequenceData.map(entry => entry.id),
+            indexes: this.#sequenceData.map((entry, index) => index),
+            before,
+        });
+    }
+
+    /**
+     * Returns the sorted symbols of the registered operations and values, which determine the
+     * indexes used by `encode` and `decode`. Character codes are sorted numerically and precede
+     * multi-character tokens, which are sorted lexicographically.
+     * 
+     * @private
+     * @method getEncodingAlphabets
+     * 
+     * @param {boolean} [excludePlaceholders] - Specifies whether value symbols registered with a
+     *      value of `null`, e.g. unknown symbols of a sequence set via `setSequence`, should be
+     *      excluded, so that they neither change the indexes nor the checksum of the mappings.
+     *      (default: false)
+     * @returns {Object} - An object with the properties `operationSymbols` and `valueSymbols`.
+     */
+    #getEncodingAlphabets(excludePlaceholders = false) {
+        const toSortedSymbols = (store) => {
+            const keys = Object.keys(store).filter(key => ! excludePlaceholders || store[key] !== null);
+            const charCodes = keys
+                .filter(key => this.#getSymbolType(key) === this.#symbolTypeInteger)
+                .map(Number)
+                .sort((a, b) => a - b);
+            const tokens = keys
+                .filter(key => this.#getSymbolType(key) === this.#symbolTypeString)
+                .sort();
+            return [...charCodes, ...tokens];
+        };
+        return {
+            operationSymbols: toSortedSymbols(this.#operations),
+            valueSymbols: toSortedSymbols(this.#values),
+        };
+    }
+
+    /**
+     * Returns the key of the mappings used for encoding, from which the checksum verified when
+     * decoding is computed. The configured `controlSymbols` are part of the key, since they
+     * determine the structure of the encoded entries.
+     * 
+     * @private
+     * @method getEncodingMappingsKey
+     * 
+     * @param {Array<number|string>} operationSymbols - The sorted operation symbols.
+     * @param {Array<number|string>} valueSymbols - The sorted value symbols.
+     * @returns {string}
+     */
+    #getEncodingMappingsKey(operationSymbols, valueSymbols) {
+        if (this.#controlSymbols === undefined) {
+            return JSON.stringify([operationSymbols, valueSymbols]);
+        }
+        return JSON.stringify([operationSymbols, valueSymbols, this.#controlSymbols]);
+    }
+
+    /**
+     * Computes the number of bits required to represent the provided number of distinct values.
+     * 
+     * @private
+     * @method computeBitWidth
+     * 
+     * @param {number} count - The number of distinct values.
+     * @returns {number}
+     */
+    #computeBitWidth(count) {
+        return count <= 1 ? 0 : Math.ceil(Math.log2(count));
+    }
+
+    /**
+     * Computes the Fletcher-16 checksum of the provided bytes or string.
+     * 
+     * @private
+     * @method computeChecksum
+     * 
+     * @param {Uint8Array|string} data - The bytes, or a string of which the UTF-16 code units are
+     *      used.
+     * @returns {number} - The 16-bit checksum.
+     */
+    #computeChecksum(data) {
+        let sum1 = 0;
+        let sum2 = 0;
+        for (let i = 0; i < data.length; i++) {
+            const byte = typeof data === 'string' ? data.charCodeAt(i) : data[i];
+            sum1 = (sum1 + byte) % 255;
+            sum2 = (sum2 + sum1) % 255;
+        }
+        return (sum2 << 8) | sum1;
+    }
+
+    /**
+     * Encodes the provided bytes as an unpadded base64url string.
+     * 
+     * @private
+     * @method encodeBase64Url
+     * 
+     * @param {Uint8Array} bytes - The bytes to be encoded.
+     * @returns {string}
+     */
+    #encodeBase64Url(bytes) {
+        let string = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            const charsCount = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+            for (let j = 0; j < charsCount; j++) {
+                string += this.#base64UrlAlphabet[(chunk >> (18 - j * 6)) & 63];
+            }
+        }
+        return string;
+    }
+
+    /**
+     * Decodes the provided unpadded base64url string.
+     * 
+     * @private
+     * @method decodeBase64Url
+     * 
+     * @param {string} string - The base64url string to be decoded.
+     * 
+     * @throws {SyntaxError} - If the string contains invalid characters.
+     * 
+     * @returns {Uint8Array}
+     */
+    #decodeBase64Url(string) {
+        const bytes = new Uint8Array(Math.floor((string.length * 6) / 8));
+        let buffer = 0;
+        let bufferBits = 0;
+        let index = 0;
+        for (const char of string) {
+            const digit = this.#base64UrlAlphabet.indexOf(char);
+            if (digit === -1) {
+                throw new OpStringSyntaxError(`Cannot decode data, since it contains the invalid base64url character '${char}'.`, 'OPSTRING_MALFORMED_DATA');
+            }
+            buffer = ((buffer << 6) | digit) & 0xffffff;
+            bufferBits += 6;
+            if (bufferBits >= 8) {
+                bufferBits -= 8;
+                bytes[index++] = (buffer >> bufferBits) & 255;
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Registers an operation mapping and returns its symbol. If the symbol is omitted, i.e.
+     * `registerOperation(callback, options)`, the next unused symbol of the configured
+     * `symbolAlphabet` is allocated, which is neither a registered operation nor value symbol.
+     * 
+     * @method registerOperation
+     * 
+     * @param {string|number} [symbol] - The character, multi-character token or character code to
+     *      be mapped to a function. Strings of digits only are handled as character codes.
+     * @param {function} callback - The function to which the symbol should be mapped to.
+     * @param {Object} [options] - Object to configure the operation.
+     * @param {number|Object|string} [options.arity] - The number of values the operation
+     *      consumes when parsing a character sequence. Either a non-negative integer for a fixed
+     *      number of values, an object with the properties `min` and optionally `max`, or
+     *      `'variadic'` for any number of values. If undefined, the operation consumes values
+     *      until the next operation symbol. (default: undefined)
+     * @param {Array<string|Object>} [options.params] - The parameter schema of the operation, of
+     *      which each parameter is either a type name or an object with the properties `type`,
+     *      and optionally `min`, `max`, `enum` and `optional`. The values are checked against the
+     *      schema when appended, inserted, prepended, updated, set via `setSequence` or executed.
+     *      (see `registerParamType`) (default: undefined)
+     * @param {string} [options.label] - A label to be registered for the symbol.
+     *      (default: undefined)
+     * @returns {string|undefined} - The registered symbol, or `undefined` if the operation
+     *      wasn't registered.
+     */
+    registerOperation(symbol, callback, options) {
+        try {
+            if (typeof symbol === 'function') {
+                this.#validateArguments('allocateOperation', arguments);
+                [callback, options] = [symbol, callback];
+                symbol = this.#allocateSymbolCharCode();
+            } else {
+                this.#validateArguments('registerOperation', arguments);
+            }
+            const charCode = this.#computeCharCode(symbol);
+            this.#operations[charCode] = callback;
+            this.#tokens = undefined;
+            if (options !== undefined && options.arity !== undefined) {
+                this.#arities[charCode] = this.#normalizeArity(options.arity);
+            } else {
+                delete this.#arities[charCode];
+            }
+            if (options !== undefined && options.params !== undefined) {
+                this.#params[charCode] = this.#normalizeParams(options.params);
+            } else {
+                delete this.#params[charCode];
+            }
+            if (options !== undefined && options.label !== undefined) {
+                this.#labels[options.label] = charCode;
+            }
+            this.#emit('operationRegistered', { symbol: this.#computeChar(charCode), charCode });
+            return this.#computeChar(charCode);
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Registers additional operation mappings provided by the `operations` object.
+     * 
+     * @method registerOperations
+     * 
+     * @param {Object} operations - Object containing additional operation mappings to be
+     *      registered.
+     */
+    registerOperations(operations) {
+        try {
+            this.#validateArguments('registerOperations', arguments);
+            this.#registerOperationsInternal(operations);
+        } catch (error) {
+            this.#logError(error);
+        }
+    }
+
+    /**
+     * Registers additional operation mappings provided by the `operations` object without 
+     * re-validating the `operations` object. An operation may either be mapped to a function or
+     * to an object containing the `callback` function and the operation options.
+     * 
+     * @private
+     * @method registerOperations
+     * 
+     * @param {Object} operations - Object containing the operation mappings to be registered.
+     */
+    #registerOperationsInternal(operations) {
+        this.#keepDiagnostics(() => {
+            for (const [symbol, operation] of Object.entries(operations)) {
+                if (this.#isPlainObject(operation)) {
+                    const { callback, ...options } = operation;
+                    this.registerOperation(symbol, callback, options);
+                } else {
+                    this.registerOperation(symbol, operation);
+                }
+            }
+        });
+    }
+
+    /**
+     * Registers the operation mappings provided by the `operations` object. Previously registered
+     * operation mappings will be deleted.
+     * 
+     * @method setOperations
+     * 
+     * @param {Object} operations - Object containing new operation mappings to be registered.
+     */
+    setOperations(operations) {
+        try {
+            this.#validateArguments('setOperations', arguments);
+            this.#operations = {};
+            this.#tokens = undefined;
+            this.#arities = {};
+            this.#params = {};
+            this.#registerOperationsInternal(operations);
+        } catch (error) {
+            this.#logError(error);
+        }
+    }
+
+    /**
+     * Returns a frozen copy of the registered operations.
+     * 
+     * @method getOperations
+     * 
+     * @returns {Object} - The registered operations
+     */
+    getOperations() {
+        return Object.freeze({ ...this.#operations });
+    }
+
+    /**
+     * Registers a custom parameter type, which can be used in the parameter schemas of
+     * operations. The built-in types are 'any', 'number', 'integer', 'string', 'boolean',
+     * 'array' and 'object'.
+     * 
+     * @method registerParamType
+     * 
+     * @param {string} name - The name of the parameter type.
+     * @param {function} check - The function called with a value, returning whether the value is
+     *      of the parameter type.
+     */
+    registerParamType(name, check) {
+        try {
+            this.#validateArguments('registerParamType', arguments);
+            this.#paramTypes[name] = check;
+        } catch (error) {
+            this.#logError(error);
+        }
+    }
+
+    /**
+     * Registers a value mapping and returns its symbol.
+     * 
+     * @method registerValue
+     * 
+     * @param {string|number} symbol - The character, multi-character token or character code to
+     *      be mapped to a value. Strings of digits only are handled as character codes.
+     * @param {*} value - The value to which the symbol should be mapped to.
+     * @returns {string|undefined} - The registered symbol, or `undefined` if the value wasn't
+     *      registered.
+     */
+    registerValue(symbol, value) {
+        try {
+            this.#validateArguments('registerValue', arguments);
+            return this.#registerValueInternal(symbol, value);
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Registers a value mapping with the next unused symbol of the configured `symbolAlphabet`,
+     * which is neither a registered operation nor value symbol, and returns the symbol.
+     * 
+     * @method registerValueAuto
+     * 
+     * @param {*} value - The value to which the allocated symbol should be mapped to.
+     * @param {Object} [options] - Object to configure the value.
+     * @param {string} [options.label] - A label to be registered for the symbol.
+     *      (default: undefined)
+     * @returns {string|undefined} - The allocated symbol, or `undefined` if the value wasn't
+     *      registered.
+     */
+    registerValueAuto(value, options) {
+        try {
+            this.#validateArguments('registerValueAuto', arguments);
+            const symbol = this.#registerValueInternal(this.#allocateSymbolCharCode(), value);
+            if (options !== undefined && options.label !== undefined) {
+                this.#labels[options.label] = this.#computeCharCode(symbol);
+            }
+            return symbol;
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Registers a value mapping without validating the arguments and emits the
+     * `valueRegistered` event.
+     * 
+     * @private
+     * @method registerValueInternal
+     * 
+     * @param {string|number} symbol - The character, multi-character token or character code to
+     *      be mapped to a value.
+     * @param {*} value - The value to which the symbol should be mapped to.
+     * @returns {string} - The registered symbol.
+     */
+    #registerValueInternal(symbol, value) {
+        const charCode = this.#computeCharCode(symbol);
+        this.#values[charCode] = value;
+        this.#tokens = undefined;
+        this.#emit('valueRegistered', { symbol: this.#computeChar(charCode), charCode, value });
+        return this.#computeChar(charCode);
+    }
+
+    /**
+     * Registers additional value mappings provided by the `values` object.
+     * 
+     * @method registerValues
+     * 
+     * @param {Object} values - Object containing additional value mappings to be registered.
+     */
+    registerValues(values) {
+        try {
+            this.#validateArguments('registerValues', arguments);
+            this.#registerValuesInternal(values);
+        } catch (error) {
+            this.#logError(error);
+        }
+    }
+
+    /**
+     * Registers additional value mappings provided by the `values` object without re-validating
+     * the `values` object.
+     * 
+     * @private
+     * @method registerValues
+     * 
+     * @param {Object} values - Object containing the value mappings to be registered.
+     */
+    #registerValuesInternal(values) {
+        this.#keepDiagnostics(() => {
+            for (const [symbol, callback] of Object.entries(values)) {
+                this.registerValue(symbol, callback);
+            }
+        });
+    }
+
+    /**
+     * Registers the value mappings provided by the `values` object. Previously registered
+     * value mappings will be deleted.
+     * 
+     * @method setValues
+     * 
+     * @param {Object} values - Object containing new values mappings to be registered.
+     */
+    setValues(values) {
+        try {
+            this.#validateArguments('setValues', arguments);
+            this.#values = {};
+            this.#tokens = undefined;
+            this.#registerValuesInternal(values);
+        } catch (error) {
+            this.#logError(error);
+        }
+    }
+
+    /**
+     * Returns a frozen copy of the registered values.
+     * 
+     * @method getValues
+     * 
+     * @returns {Object} - The registered values
+     */
+    getValues() {
+        return Object.freeze({ ...this.#values });
+    }
+
+    /**
+     * Returns the corresponding character for the provided value, if the value is registered.
+     * 
+     * @param {*} value - The value for which a coresponding character should be returned.
+     * @returns {string|undefined} - If the value is registered, the corresponding character
+     *      is returned; otherwise `undefined`.
+     */
+    getCharForValue(value) {
+        try {
+            this.#validateArguments('getCharForValue', arguments);
+            const charCode = this.getCharCodeForValue(value);
+            if (charCode !== undefined) {
+                return this.#computeChar(charCode);
+            }
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns the corresponding character code for the provided value, if the value is registered.
+     * 
+     * @param {*} value - The value for which a coresponding character code should be returned.
+     * @returns {number|undefined} - If the value is registered, the corresponding character code
+     *      is returned; otherwise `undefined`.
+     */
+    getCharCodeForValue(value) {
+        try {
+            this.#validateArguments('getCharCodeForValue', arguments);
+            const keys = Object.keys(this.#values);
+            for (let i = 0; i < keys.length; i++) {
+                const key = keys[i];
+                if (this.#values[key] === value) {
+                    return key;
+                }
+            }
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Registers a label mapping to represent the provided symbol.
+     * 
+     * @method registerLabel
+     * 
+     * @param {string} label - The label to represent the provided symbol.
+     * @param {string|number} symbol - The character or character code to be mapped to the label.
+     */
+    registerLabel(label, symbol) {
+        try {
+            this.#validateArguments('registerLabel', arguments);
+            this.#labels[label] = this.#computeCharCode(symbol);
+        } catch (error) {
+            this.#logError(error);
+        }
+    }
+
+    /**
+     * Registers additional label mappings provided by the `labels` object.
+     * 
+     * @method registerLabels
+     * 
+     * @param {Object} labels - Object containing additional label mappings to be registered.
+     */
+    registerLabels(labels) {
+        try {
+            this.#validateArguments('registerLabels', arguments);
+            this.#registerLabelsInternal(labels);
+        } catch (error) {
+            this.#logError(error);
+        }
+    }
+
+    /**
+     * Registers additional label mappings provided by the `labels` object without re-validating
+     * the `labels` object.
+     * 
+     * @private
+     * @method registerLabels
+     * 
+     * @param {Object} labels - Object containing the label mappings to be registered.
+     */
+    #registerLabelsInternal(labels) {
+        this.#keepDiagnostics(() => {
+            for (const [label, symbol] of Object.entries(labels)) {
+                this.registerLabel(label, symbol);
+            }
+        });
+    }
+
+    /**
+     * Registers the label mappings provided by the `labels` object. Previously registered
+     * label mappings will be deleted.
+     * 
+     * @method setLabels
+     * 
+     * @param {Object} labels - Object containing new labels mappings to be registered.
+     */
+    setLabels(labels) {
+        try {
+            this.#validateArguments('setLabels', arguments);
+            this.#labels = {};
+            this.#registerLabelsInternal(labels);
+        } catch (error) {
+            this.#logError(error);
+        }
+    }
+
+    /**
+     * Returns a frozen copy of the registered labels.
+     * 
+     * @method getLabels
+     * 
+     * @returns {Object} - The registered labels
+     */
+    getLabels() {
+        return Object.freeze({ ...this.#labels });
+    }
+
+    /**
+     * Returns the corresponding character for the provided label, if the label is registered.
+     * 
+     * @param {string} label - The label for which a coresponding character should be returned.
+     * @returns {string|undefined} - If the label is registered, the corresponding character
+     *      is returned; otherwise `undefined`.
+     */
+    getCharForLabel(label) {
+        try {
+            this.#validateArguments('getCharForLabel', arguments);
+            const charCode = this.getCharCodeForLabel(label);
+            if (charCode !== undefined) {
+                return this.#computeChar(charCode);
+            }
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns the corresponding character code for the provided label, if the label is registered.
+     * 
+     * @param {string} label - The label for which a coresponding character code should be returned.
+     * @returns {number|undefined} - If the label is registered, the corresponding character code
+     *      is returned; otherwise `undefined`.
+     */
+    getCharCodeForLabel(label) {
+        try {
+            this.#validateArguments('getCharCodeForLabel', arguments);
+            if (this.#labels[label] !== undefined) {
+                return this.#labels[label];
+            }
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Exports the mapping configuration as a JSON-safe schema document, which mirrors the
+     * `config` object of the constructor. Operations are exported with their arities, parameter
+     * schemas and labels, but without their functions.
+     * 
+     * @method exportSchema
+     * 
+     * @throws {TypeError} - If a registered value or parameter schema is not JSON-safe.
+     * 
+     * @returns {Object|undefined} - The schema document, or `undefined` if it couldn't be exported.
+     */
+    exportSchema() {
+        try {
+            const operations = {};
+            for (const symbol of Object.keys(this.#operations)) {
+                const operation = {};
+                const arity = this.#arities[symbol];
+                if (arity !== undefined) {
+                    if (arity.min === arity.max) {
+                        operation.arity = arity.min;
+                    } else if (arity.max === Infinity) {
+                        operation.arity = { min: arity.min };
+                    } else {
+                        operation.arity = { min: arity.min, max: arity.max };
+                    }
+                }
+                if (this.#params[symbol] !== undefined) {
+                    if (! this.#isJsonSafe(this.#params[symbol])) {
+                        throw new OpStringTypeError(`Cannot exportSchema, since the parameter schema of the operation with symbol '${this.#computeChar(symbol)}' is not JSON-safe.`, 'OPSTRING_NOT_JSON_SAFE');
+                    }
+                    operation.params = this.#cloneParams(this.#params[symbol]);
+                }
+                const labels = Object.keys(this.#labels).filter(label => String(this.#labels[label]) === symbol);
+                if (labels.length > 0) {
+                    operation.labels = labels;
+                }
+                operations[symbol] = operation;
+            }
+            for (const [symbol, value] of Object.entries(this.#values)) {
+                if (! this.#isJsonSafe(value)) {
+                    throw new OpStringTypeError(`Cannot exportSchema, since the value of symbol '${this.#computeChar(symbol)}' is not JSON-safe.`, 'OPSTRING_NOT_JSON_SAFE');
+                }
+            }
+            const schema = {
+                version: this.#schemaVersion,
+                operations,
+                values: JSON.parse(JSON.stringify(this.#values)),
+                labels: { ...this.#labels },
+                codePointMode: this.#codePointMode,
+            };
+            if (this.#maxSequenceLength !== undefined) {
+                schema.maxSequenceLength = this.#maxSequenceLength;
+            }
+            if (this.#literals !== undefined) {
+                schema.literals = { ...this.#literals };
+            }
+            if (this.#controlSymbols !== undefined) {
+                schema.controlSymbols = Object.fromEntries(
+                    Object.entries(this.#controlSymbols).map(([type, charCode]) => [type, this.#computeChar(charCode)])
+                );
+            }
+            return schema;
+        } catch (error) {
+            this.#logError(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Imports a schema document created by `exportSchema` into the current instance. Previously
+     * registered operation, value and label mappings are replaced, and the `maxSequenceLength`,
+     * `codePointMode`, `literals` and `controlSymbols` configuration is applied. Since the schema
+     * doesn't contain functions, a callback must be provided for each operation of the schema.
+     * The sequence data array is kept. (see `OpString.fromSchema` to create a new instance)
+     * 
+     * @method importSchema
+     * 
+     * @param {Object} schema - The schema document to be imported.
+     * @param {Object} options - Object to configure the import.
+     * @param {Object} options.operations - Object mapping the characters, character codes or
+     *      labels of the operations of the schema to their callbacks.
+     * 
+     * @throws {RangeError} - If the schema version is not supported.
+     * @throws {ReferenceError} - If no callback is provided for an operation of the schema.
+     * 
+     * @returns {boolean} - If the schema was imported `true`, otherwise `false`.
+     */
+    importSchema(schema, options) {
+        try {
+            this.#validateArguments('importSchema', arguments);
+            const labels = { ...schema.labels };
+            const previous = {
+                codePointMode: this.#codePointMode,
+                maxCharCode: this.#maxCharCode,
+                literals: this.#literals,
+            };
+            // NOTE: The symbols of the schema and the keys of `options.operations` are resolved
+            // with the `codePointMode` and `literals` configuration of the schema.
+            this.#codePointMode = schema.codePointMode === true;
+            this.#maxCharCode = this.#codePointMode ? 1114111 : 65535;
+            this.#literals = schema.literals !== undefined ? { ...this.#defaultLiterals, ...schema.literals } : undefined;
+            const callbacks = {};
+            let controlSymbols;
+            try {
+                for (const [key, callback] of Object.entries(options.operations)) {
+                    const symbol = labels[key] !== undefined ? labels[key] : this.#computeCharCode(key);
+                    callbacks[symbol] = callback;
+                }
+                for (const symbol of Object.keys(schema.operations)) {
+                    if (typeof callbacks[symbol] !== 'function') {
+                        throw new OpStringReferenceError(`Cannot importSchema, since no callback is provided for the operation with symbol '${symbol}'.`, 'OPSTRING_MISSING_CALLBACK');
+                    }
+                }
+                if (schema.controlSymbols !== undefined) {
+                    controlSymbols = Object.fromEntries(
+                        Object.entries(schema.controlSymbols).map(([type, symbol]) => [type, this.#computeCharCode(symbol)])
+                    );
+                }
+                if (
+                    this.#sequenceData.some(entry => entry.children !== undefined)
+                    && JSON.stringify(this.#controlSymbols) !== JSON.stringify(controlSymbols)
+                ) {
+                    throw new OpStringSyntaxError(`Cannot importSchema, since the sequence contains control-flow blocks, which require the same 'controlSymbols' configuration.`, 'OPSTRING_CONTROL_ERROR');
+                }
+            } catch (error) {
+                this.#codePointMode = previous.codePointMode;
+                this.#maxCharCode = previous.maxCharCode;
+                this.#literals = previous.literals;
+                throw error;
+            }
+            this.#controlSymbols = controlSymbols;
+            this.#maxSequenceLength = schema.maxSequenceLength;
+            this.#operations = {};
+            this.#arities = {};
+            this.#params = {};
+            for (const [symbol, operation] of Object.entries(schema.operations)) {
+                this.#operations[symbol] = callbacks[symbol];
+                if (operation.arity !== undefined) {
+                    this.#arities[symbol] = this.#normalizeArity(operation.arity);
+                }
+                if (operation.params !== undefined) {
+                    this.#params[symbol] = this.#normalizeParams(operation.params);
+                }
+            }
+            this.#values = JSON.parse(JSON.stringify(schema.values));
+            this.#tokens = undefined;
+            this.#labels = labels;
+            this.#computeSequence();
+            return true;
+        } catch (error) {
+            this.#logError(error);
+        }
+        return false;
+    }
+
+    /**
+     * Creates a new OpString instance from a schema document created by `exportSchema`.
+     * (see `importSchema`)
+     * 
+     * @method fromSchema
+     * @static
+     * 
+     * @param {Object} schema - The schema document to be imported.
+     * @param {Object} options - Object to configure the import. (see `importSchema`)
+     * @param {Object} [config] - The configuration of the new instance, e.g. its `logger` or
+     *      `errorMode`, to which errors of the import are reported. The configuration of the
+     *      schema takes precedence. (see `constructor`)
+     * @returns {OpString|undefined} - The new OpString instance, or `undefined` if the schema
+     *      couldn't be imported.
+     */
+    static fromSchema(schema, options, config) {
+        const opString = new OpString(config);
+        if (! opString.importSchema(schema, options)) {
+            return undefined;
+        }
+        return opString;
+    }
+
+    /**
+     * Sets the maximum allowed sequence limit.
+     * 
+     * @method setMaxSequenceLength
+     * 
+     * @param {number} maxSequenceLength - The maximum allowed sequence length
+     */
+    setMaxSequenceLength(maxSequenceLength) {
+        try {
+            this.#validateArguments('setMaxSequenceLength', arguments);
+            this.#maxSequenceLength = maxSequenceLength;
+        } catch (error) {
+            this.#logError(error);
+        }
+    }
+
+    /**
+     * Returns the `maxSequenceLength` value. If the `maxSequenceLength` has not been
+     * configured, `undefined` is returned.
+     * 
+     * @method getMaxSequenceLength
+     * 
+     * @returns {number|undefined} - The configured `maxSequenceLength` value, or `undefined` if
+     *      not configured.
+     */
+    getMaxSequenceLength() {
+        return this.#maxSequenceLength;
+    }
+
+    /**
+     * Attempts to execute the character sequence of the current instance or a provided
+     * character sequence specified by the `sequence` parameter.
+     * 
+     * Each operation is called with an execution context bound as `this`, containing the `id`
+     * (only when executing the character sequence of the current instance), `index`, `symbol`
+     * and `label` of the operation, the shared `state` and the OpString instance (`opString`).
+     * The `index` of operations within control-flow blocks is the index of the top-level block.
+     * 
+     * @method execute
+     * 
+     * @param {string} [sequence] - The character sequence to be executed instead of
+     *      the character sequence of the current instance. If the first argument is an object,
+     *      it is used as the `options` parameter.
+     * @param {Object} [options] - Object to configure the execution.
+     * @param {*} [options.state] - A state shared by all operations via the execution context.
+     * @param {boolean} [options.contextArgument] - Specifies whether the execution context should
+     *      additionally be passed as the last argument to each operation, e.g. for arrow
+     *      functions. (default: false)
+     * @param {Object} [options.flags] - Object mapping the arguments of condition blocks to
+     *      whether their operations should be executed. (see `config.controlSymbols`)
+     * @param {function} [options.reduce] - A reducer called with the accumulator, the return
+     *      value of each operation and its execution context, of which the result is returned
+     *      instead of the array of return values.
+     * @param {*} [options.initialValue] - The initial value of the accumulator of `reduce`.
+     * @returns {Array<*>|*} - An array with the return values of the executed operations, or
+     *      the result of `reduce`, if provided. If the sequence wasn't executed, `undefined`.
+     */
+    execute(sequence, options) {
+        if (this.#isPlainObject(sequence)) {
+            options = sequence;
+            sequence = undefined;
+        }
+        try {
+            this.#validateArguments('executeOptions', [options]);
+        } catch (error) {
+            this.#logError(error);
+            return undefined;
+        }
+        if (this.#canExecute(sequence, sequence === undefined ? [] : [sequence])) {
+            options = options !== undefined ? options : {};
+            let entries;
+            try {
+                entries = this.#getExecutionEntries(sequence, options.flags);
+            } catch (error) {
+                this.#logError(error);
+                return undefined;
+            }
+            let result = options.reduce !== undefined ? options.initialValue : [];
+            for (let i = 0; i < entries.length; i++) {
+                const context = this.#createContext(entries[i], options.state);
+                const operationResult = this.#executeEntry(entries[i], context, options.contextArgument);
+                result = this.#collectResult(result, operationResult, context, options.reduce);
+            }
+            this.#emit('execute', {
+                sequence: sequence === undefined ? this.#sequence : sequence,
+                executed: entries.length,
+            });
+            return result;
+        }
+        return undefined;
+    }
+
+    /**
+     * Attempts to execute the character sequence of the current instance or a provided
+     * character sequence specified by the `sequence` parameter, awaiting each operation in
+     * sequence order before executing the next one. Operations may return a Promise. The
+     * operations are called with an execution context as with `execute`.
+     * 
+     * @method executeAsync
+     * 
+     * @param {string} [sequence] - The character sequence to be executed instead of
+     *      the character sequence of the current instance. If the first argument is an object,
+     *      it is used as the `options` parameter.
+     * @param {Object} [options] - Object to configure the execution. Supports the same options
+     *      as `execute`, as well as the `signal` option.
+     * @param {AbortSignal} [options.signal] - A signal that cancels the execution of the
+     *      remaining operations once aborted.
+     * @returns {Promise<Object>} - A Promise that resolves with a summary object containing the
+     *      number of executable operations (`total`), the number of executed operations
+     *      (`executed`), whether the execution was aborted (`aborted`), and the awaited return
+     *      values of the executed operations or the result of `reduce` (`result`). The Promise
+     *      rejects if an operation throws or returns a rejected Promise.
+     */
+    async executeAsync(sequence, options) {
+        if (this.#isPlainObject(sequence)) {
+            options = sequence;
+            sequence = undefined;
+        }
+        const summary = { total: 0, executed: 0, aborted: false, result: undefined };
+        try {
+            this.#validateArguments('executeAsync', [options]);
+        } catch (error) {
+            this.#logError(error);
+            return summary;
+        }
+        if (this.#canExecute(sequence, sequence === undefined ? [] : [sequence])) {
+            options = options !== undefined ? options : {};
+            let entries;
+            try {
+                entries = this.#getExecutionEntries(sequence, options.flags);
+            } catch (error) {
+                this.#logError(error);
+                return summary;
+            }
+            summary.total = entries.length;
+            summary.result = options.reduce !== undefined ? options.initialValue : [];
+            for (let i = 0; i < entries.length; i++) {
+                if (options.signal !== undefined && options.signal.aborted) {
+                    summary.aborted = true;
+                    break;
+                }
+                const context = this.#createContext(entries[i], options.state);
+                const operationResult = await this.#executeEntry(entries[i], context, options.contextArgument);
+                summary.result = this.#collectResult(summary.result, operationResult, context, options.reduce);
+                summary.executed++;
+            }
+            this.#emit('execute', {
+                sequence: sequence === undefined ? this.#sequence : sequence,
+                ...summary,
+            });
+        }
+        return summary;
+    }
+
+    /**
+     * Creates a runner that walks the sequence one operation at a time, in the same order as
+     * `execute`, i.e. with expanded control-flow blocks. The runner keeps track of the last
+     * executed operation by the id of its top-level entry, so that it can be resumed after the
+     * sequence has been mutated via `append`, `insert`, `prepend`, `remove` or `setSequence`.
+     * Operations that aren't registered are skipped, as with `execute`.
+     * 
+     * @method createRunner
+     * 
+     * @param {Object} [options] - Object to configure the execution context of the operations.
+     *      Supports the `state`, `contextArgument` and `flags` options of `execute`.
+     * @returns {Object} - The runner object with the methods `step`, `peek`, `seek` and `reset`,
+     *      and the `done` property.
+     */
+    createRunner(options) {
+        try {
+            this.#validateArguments('executeOptions', [options]);
+        } catch (error) {
+            this.#logError(error);
+            return undefined;
+        }
+        options = options !== undefined ? options : {};
+        let cursor = 0;
+        let previous;
+        let next;
+        /**
+         * NOTE: Positions are tracked by anchors, i.e. the id of a top-level entry and the
+         * offset within its expanded operations, since the expanded operations of control-flow
+         * blocks have no ids of their own.
+         */
+        const findPosition = (entries, anchor) => {
+            const index = anchor !== undefined ? this.#sequenceData.findIndex(entry => entry.id === anchor.id) : -1;
+            if (index === -1) {
+                return -1;
+            }
+            let start = entries.findIndex(entry => entry.index >= index);
+            start = start !== -1 ? start : entries.length;
+            let end = start;
+            while (end < entries.length && entries[end].index === index) {
+                end++;
+            }
+            return Math.min(start + anchor.offset, end);
+        };
+        const createAnchor = (entries, position) => {
+            if (position >= entries.length) {
+                return undefined;
+            }
+            let start = position;
+            while (start > 0 && entries[start - 1].index === entries[position].index) {
+                start--;
+            }
+            return { id: this.#sequenceData[entries[position].index].id, offset: position - start };
+        };
+        const syncCursor = () => {
+            const entries = this.#getExecutionEntries(undefined, options.flags);
+            let position = findPosition(entries, previous);
+            if (position === -1) {
+                // NOTE: If the previous operation was removed, resume at the operation that followed it.
+                position = findPosition(entries, next);
+            }
+            cursor = position !== -1 ? position : Math.min(cursor, entries.length);
+            return entries;
+        };
+        const logError = error => this.#logError(error);
+        const runner = {
+            /**
+             * Executes the next operation and returns a step object containing the `id`,
+             * `index`, `symbol`, resolved `values` and `result` of the operation, or `undefined`
+             * if there are no more operations to be executed.
+             */
+            step: () => {
+                let entries;
+                try {
+                    entries = syncCursor();
+                } catch (error) {
+                    this.#logError(error);
+                    return undefined;
+                }
+                if (cursor >= entries.length) {
+                    return undefined;
+                }
+                const entry = entries[cursor];
+                const step = this.#createStep(entry);
+                previous = createAnchor(entries, cursor);
+                previous.offset++;
+                next = createAnchor(entries, cursor + 1);
+                cursor++;
+                step.result = this.#executeEntry(entry, this.#createContext(entry, options.state), options.contextArgument);
+                return step;
+            },
+            /**
+             * Returns the step object of the next operation without executing it, or `undefined`
+             * if there are no more operations to be executed.
+             */
+            peek: () => {
+                let entries;
+                try {
+                    entries = syncCursor();
+                } catch (error) {
+                    this.#logError(error);
+                    return undefined;
+                }
+                if (cursor >= entries.length) {
+                    return undefined;
+                }
+                return this.#createStep(entries[cursor]);
+            },
+            /**
+             * Moves the runner to the specified index of the sequence data array. Returns `true`
+             * if the runner was moved, otherwise `false`.
+             */
+            seek: (index) => {
+                try {
+                    this.#validateArguments('seek', [index]);
+                    previous = index > 0 ? { id: this.#sequenceData[index - 1].id, offset: Infinity } : undefined;
+                    next = index < this.#sequenceData.length ? { id: this.#sequenceData[index].id, offset: 0 } : undefined;
+                    const entries = this.#getExecutionEntries(undefined, options.flags);
+                    const position = entries.findIndex(entry => entry.index >= index);
+                    cursor = position !== -1 ? position : entries.length;
+                    return true;
+                } catch (error) {
+                    this.#logError(error);
+                }
+                return false;
+            },
+            /**
+             * Moves the runner back to the beginning of the sequence.
+             */
+            reset: () => {
+                cursor = 0;
+                previous = undefined;
+                next = undefined;
+            },
+            /**
+             * Whether there are no more operations to be executed.
+             */
+            get done() {
+                try {
+                    return cursor >= syncCursor().length;
+                } catch (error) {
+                    logError(error);
+                    return true;
+                }
+            },
+        };
+        return runner;
+    }
+
+    /**
+     * Returns a generator that executes the operations of the sequence data array one at a time,
+     * yielding a step object for each executed operation. (see `createRunner`)
+     * 
+     * @method steps
+     * 
+     * @param {Object} [options] - Object to configure the execution context of the operations.
+     *      (see `createRunner`)
+     * @returns {Generator<Object>} - A generator yielding step objects containing the `id`,
+     *      `index`, `symbol`, resolved `values` and `result` of each executed operation.
+     */
+    *steps(options) {
+        const runner = this.createRunner(options);
+        while (runner !== undefined && ! runner.done) {
+            yield runner.step();
+        }
+    }
+
+    /**
+     * Creates a step object for the provided operation entry.
+     * 
+     * @private
+     * @method createStep
+     * 
+     * @param {Object} entry - The operation entry, including its `index`.
+     * @returns {Object} - The step object containing the `id`, `index`, `symbol` and resolved
+     *      `values` of the operation.
+     */
+    #createStep(entry) {
+        return {
+            id: entry.id,
+            index: entry.index,
+            symbol: this.#computeChar(entry.operation),
+            values: this.#resolveValues(entry.values, entry.operation),
+        };
+    }
+
+    /**
+     * Validates the character sequence to be executed and returns whether it should be executed
+     * based on the current `strictMode` configuration.
+     * 
+     * @private
+     * @method canExecute
+     * 
+     * @param {string} [sequence] - The provided character sequence, if any.
+     * @param {Array<*>} args - The user provided arguments to the respective execute method.
+     * @returns {boolean}
+     */
+    #canExecute(sequence, args) {
+        let caughtError = false;
+        try {
+            if (sequence === undefined) {
+                this.#validateArguments('executeMain', [this.#sequence]);
+            } else {
+                this.#validateArguments('executeProvided', args);
+            }
+        } catch (error) {
+            caughtError = true;
+            this.#logError(error);
+        }
+        return ! caughtError || (caughtError && ! this.#strictMode);
+    }
+
+    /**
+     * Returns the operation entries to be executed, either from the sequence data array or by
+     * parsing the provided character sequence, with expanded control-flow blocks. Entries of
+     * unregistered operations are omitted.
+     * 
+     * @private
+     * @method getExecutionEntries
+     * 
+     * @param {string} [sequence] - The provided character sequence, if any.
+     * @param {Object} [flags] - The flags of condition blocks.
+     * @returns {Array<Object>} - An array of objects with the properties `operation`, `values`,
+     *      `index` and, if executing the sequence data array, `id`.
+     * 
+     * @throws {RangeError} - If the expanded entries would exceed the maximum number of
+     *      expanded operations.
+     */
+    #getExecutionEntries(sequence, flags) {
+        let entries;
+        if (sequence === undefined) {
+            entries = this.#sequenceData;
+        } else {
+            entries = this.#parseSequence(typeof sequence === 'string' ? sequence : '');
+        }
+        const expanded = [];
+        this.#expandEntries(entries, flags, new Map(), expanded);
+        return expanded;
+    }
+
+    /**
+     * Executes the operation of the provided entry with its resolved values.
+     * 
+     * @private
+     * @method executeEntry
+     * 
+     * @param {Object} entry - The operation entry to be executed.
+     * @param {Object} context - The execution context to be bound as `this`.
+     * @param {boolean} [contextArgument] - Specifies whether the execution context should be
+     *      passed as the last argument. (default: false)
+     * @returns {*} - The return value of the operation.
+     */
+    #executeEntry(entry, context, contextArgument = false) {
+        const operation = this.#operations[entry.operation];
+        const args = this.#resolveValues(entry.values, entry.operation);
+        try {
+            this.#checkParams(entry.operation, args, `execute operation with symbol '${context.symbol}' at index ${entry.index}`);
+        } catch (error) {
+            this.#logError(error);
+            return undefined;
+        }
+        if (contextArgument) {
+            args.push(context);
+        }
+        return operation.apply(context, args);
+    }
+
+    /**
+     * Creates the execution context for the provided operation entry.
+     * 
+     * @private
+     * @method createContext
+     * 
+     * @param {Object} entry - The operation entry, including its `index`.
+     * @param {*} state - The state shared by all operations.
+     * @returns {Object} - The execution context containing the `id`, `index`, `symbol`, `label`,
+     *      `state` and `opString`.
+     */
+    #createContext(entry, state) {
+        return {
+            id: entry.id,
+            index: entry.index,
+            symbol: this.#computeChar(entry.operation),
+            label: this.#getLabelForSymbol(entry.operation),
+            state,
+            opString: this,
+        };
+    }
+
+    /**
+     * Adds the return value of an operation to the array of return values, or reduces it into
+     * the accumulator, if a reducer is provided.
+     * 
+     * @private
+     * @method collectResult
+     * 
+     * @param {Array<*>|*} result - The array of return values, or the accumulator.
+     * @param {*} operationResult - The return value of the operation.
+     * @param {Object} context - The execution context of the operation.
+     * @param {function} [reduce] - The reducer.
+     * @returns {Array<*>|*} - The array of return values, or the new accumulator.
+     */
+    #collectResult(result, operationResult, context, reduce) {
+        if (reduce !== undefined) {
+            return reduce(result, operationResult, context);
+        }
+        result.push(operationResult);
+        return result;
+    }
+
+    /**
+     * Renders the provided symbol for `disassemble`.
+     * 
+     * @private
+     * @method disassembleSymbol
+     * 
+     * @param {number|string} charCode - The character code or token of the symbol.
+     * @returns {string} - The first label of the symbol that is a valid identifier, or else the
+     *      character code or, for multi-character tokens and literals, a JSON string.
+     */
+    #disassembleSymbol(charCode) {
+        const label = Object.keys(this.#labels).find(label => (
+            String(this.#labels[label]) === String(charCode)
+            && this.#assemblyIdentifierPattern.test(label)
+        ));
+        if (label !== undefined) {
+            return label;
+        }
+        return typeof charCode === 'string' ? JSON.stringify(charCode) : String(charCode);
+    }
+
+    /**
+     * Assembles a single line of text in the format of `disassemble` into a character sequence.
+     * 
+     * @private
+     * @method assembleLine
+     * 
+     * @param {string} line - The line to be assembled.
+     * @param {number} lineNumber - The line number, starting at 1.
+     * @param {Set<string>} macros - The names of the macros defined so far, to which the name
+     *      of a define block is added.
+     * @returns {string} - The character sequence of the operation and its values.
+     * 
+     * @throws {SyntaxError} - If the line doesn't match the format of `disassemble`.
+     * @throws {ReferenceError} - If a label isn't registered or the operation symbol is neither
+     *      a registered operation, a control symbol nor a defined macro.
+     */
+    #assembleLine(line, lineNumber, macros) {
+        const skipWhitespace = (index) => {
+            while (index < line.length && /\s/.test(line[index])) {
+                index++;
+            }
+            return index;
+        };
+        const expect = (char, index) => {
+            if (line[index] !== char) {
+                const found = index < line.length ? `'${line[index]}'` : 'end of line';
+                throw new OpStringSyntaxError(`Cannot assemble text. Expected '${char}' but found ${found} at line ${lineNumber}, column ${index + 1}.`, 'OPSTRING_ASSEMBLY_ERROR');
+            }
+            return skipWhitespace(index + 1);
+        };
+        let index = skipWhitespace(0);
+        const operation = this.#readAssemblyTerm(line, index, lineNumber);
+        const controlType = this.#getControlType(operation.charCode);
+        if (
+            ! this.#operations[operation.charCode]
+            && controlType === undefined
+            && ! macros.has(String(operation.charCode))
+        ) {
+            throw new OpStringReferenceError(`Cannot assemble text. The symbol '${operation.term}' at line ${lineNumber}, column ${index + 1} is not a registered operation.`, 'OPSTRING_UNKNOWN_OPERATION');
+        }
+        let sequence = this.#computeChar(operation.charCode);
+        index = expect('(', skipWhitespace(operation.end));
+        if (line[index] !== ')') {
+            while (true) {
+                const value = this.#readAssemblyTerm(line, index, lineNumber);
+                if (controlType === 'define') {
+                    macros.add(String(value.charCode));
+                }
+                sequence += this.#computeChar(value.charCode);
+                index = skipWhitespace(value.end);
+                if (line[index] !== ',') {
+                    break;
+                }
+                index = skipWhitespace(index + 1);
+            }
+        }
+        index = expect(')', index);
+        if (index < line.length && ! line.startsWith('//', index)) {
+            throw new OpStringSyntaxError(`Cannot assemble text. Unexpected '${line[index]}' at line ${lineNumber}, column ${index + 1}.`, 'OPSTRING_ASSEMBLY_ERROR');
+        }
+        return sequence;
+    }
+
+    /**
+     * Reads a label, character code or JSON string at the provided index of the line.
+     * 
+     * @private
+     * @method readAssemblyTerm
+     * 
+     * @param {string} line - The line to be read.
+     * @param {number} index - The index at which the term starts.
+     * @param {number} lineNumber - The line number, starting at 1.
+     * @returns {Object} - An object containing the `charCode` of the symbol, the `term` as
+     *      written and the `end` index of the term.
+     * 
+     * @throws {SyntaxError} - If there is no valid term at the provided index.
+     * @throws {ReferenceError} - If the label isn't registered.
+     */
+    #readAssemblyTerm(line, index, lineNumber) {
+        const location = `at line ${lineNumber}, column ${index + 1}`;
+        const rest = line.slice(index);
+        let match;
+        if ((match = rest.match(/^"(?:[^"\\]|\\.)*"/)) !== null) {
+            const term = match[0];
+            let symbol;
+            try {
+                symbol = JSON.parse(term);
+            } catch (error) {
+                throw new OpStringSyntaxError(`Cannot assemble text. The string ${term} ${location} is invalid.`, 'OPSTRING_ASSEMBLY_ERROR');
+            }
+            const charCode = this.#computeSymbolCharCode(symbol);
+            if (charCode === undefined) {
+                throw new OpStringSyntaxError(`Cannot assemble text. The string ${term} ${location} must contain exactly one symbol.`, 'OPSTRING_ASSEMBLY_ERROR');
+            }
+            return { charCode, term, end: index + term.length };
+        }
+        if ((match = rest.match(/^\d+/)) !== null) {
+            const term = match[0];
+            const charCode = Number(term);
+            if (! this.#isCharCodeWithinRange(charCode)) {
+                throw new OpStringRangeError(`Cannot assemble text. The character code ${term} ${location} must be within the range of ${this.#minCharCode} and ${this.#maxCharCode}.`, 'OPSTRING_INVALID_SYMBOL');
+            }
+            return { charCode, term, end: index + term.length };
+        }
+        if ((match = rest.match(/^[A-Za-z_$][\w$]*/)) !== null) {
+            const term = match[0];
+            if (! Object.prototype.hasOwnProperty.call(this.#labels, term)) {
+                throw new OpStringReferenceError(`Cannot assemble text. The label '${term}' ${location} is not registered.`, 'OPSTRING_UNKNOWN_LABEL');
+            }
+            return { charCode: this.#labels[term], term, end: index + term.length };
+        }
+        const found = index < line.length ? `'${line[index]}'` : 'end of line';
+        throw new OpStringSyntaxError(`Cannot assemble text. Expected a label, character code or string but found ${found} ${location}.`, 'OPSTRING_ASSEMBLY_ERROR');
+    }
+
+    /**
+     * Returns the operation entries to be compared via `OpString.diff`.
+     * 
+     * @private
+     * @method getDiffEntries
+     * 
+     * @param {OpString|string} source - An OpString instance, or a character sequence to be
+     *      parsed with the mappings of the current instance.
+     * @returns {Array<Object>} - An array of objects with the properties `operation` and `values`.
+     */
+    #getDiffEntries(source) {
+        if (source instanceof OpString) {
+            return source.#sequenceData;
+        }
+        return this.#parseSequence(source, undefined, []);
+    }
+
+    /**
+     * Computes a longest common subsequence of the provided keys for `OpString.diff`, using the
+     * linear space variant of the Myers diff algorithm, i.e. the keys are split at the middle
+     * snake of the shortest edit script, of which both halves are compared recursively.
+     * 
+     * @private
+     * @method computeMatches
+     * 
+     * @param {Array<string>} fromKeys - The keys of the operations to compare from.
+     * @param {Array<string>} toKeys - The keys of the operations to compare to.
+     * @returns {Array<Array<number>>} - The ascending pairs of the indexes of the matching keys.
+     */
+    #computeMatches(fromKeys, toKeys) {
+        const matches = [];
+        const findMiddleSnake = (fromStart, fromEnd, toStart, toEnd) => {
+            const n = fromEnd - fromStart;
+            const m = toEnd - toStart;
+            const maxD = Math.ceil((n + m) / 2);
+            const delta = n - m;
+            const isFront = delta % 2 !== 0;
+            // NOTE: The furthest reaching x of each diagonal, forwards from the start and backwards from the end.
+            const forward = new Array(2 * maxD + 2).fill(-1);
+            const backward = new Array(2 * maxD + 2).fill(-1);
+            forward[maxD + 1] = 0;
+            backward[maxD + 1] = 0;
+            // NOTE: Diagonals which have left the edit graph are skipped.
+            let forwardStart = 0;
+            let forwardEnd = 0;
+            let backwardStart = 0;
+            let backwardEnd = 0;
+            for (let d = 0; d < maxD; d++) {
+                for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+                    let x = k === -d || (k !== d && forward[maxD + k - 1] < forward[maxD + k + 1])
+                        ? forward[maxD + k + 1]
+                        : forward[maxD + k - 1] + 1;
+                    let y = x - k;
+                    while (x < n && y < m && fromKeys[fromStart + x] === toKeys[toStart + y]) {
+                        x++;
+                        y++;
+                    }
+                    forward[maxD + k] = x;
+                    if (x > n) {
+                        forwardEnd += 2;
+                    } else if (y > m) {
+                        forwardStart += 2;
+                    } else if (isFront) {
+                        const backwardX = backward[maxD + delta - k];
+                        if (backwardX !== undefined && backwardX !== -1 && x >= n - backwardX) {
+                            return [x, y];
+                        }
+                    }
+                }
+                for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+                    let x = k === -d || (k !== d && backward[maxD + k - 1] < backward[maxD + k + 1])
+                        ? backward[maxD + k + 1]
+                        : backward[maxD + k - 1] + 1;
+                    let y = x - k;
+                    while (x < n && y < m && fromKeys[fromEnd - x - 1] === toKeys[toEnd - y - 1]) {
+                        x++;
+                        y++;
+                    }
+                    backward[maxD + k] = x;
+                    if (x > n) {
+                        backwardEnd += 2;
+                    } else if (y > m) {
+                        backwardStart += 2;
+                    } else if (! isFront) {
+                        const forwardX = forward[maxD + delta - k];
+                        if (forwardX !== undefined && forwardX !== -1 && forwardX >= n - x) {
+                            return [forwardX, forwardX - delta + k];
+                        }
+                    }
+                }
+            }
+            return undefined;
+        };
+        const compare = (fromStart, fromEnd, toStart, toEnd) => {
+            while (fromStart < fromEnd && toStart < toEnd && fromKeys[fromStart] === toKeys[toStart]) {
+                matches.push([fromStart++, toStart++]);
+            }
+            const suffix = [];
+            while (fromStart < fromEnd && toStart < toEnd && fromKeys[fromEnd - 1] === toKeys[toEnd - 1]) {
+                suffix.unshift([--fromEnd, --toEnd]);
+            }
+            const snake = fromStart < fromEnd && toStart < toEnd ? findMiddleSnake(fromStart, fromEnd, toStart, toEnd) : undefined;
+            if (snake !== undefined) {
+                compare(fromStart, fromStart + snake[0], toStart, toStart + snake[1]);
+                compare(fromStart + snake[0], fromEnd, toStart + snake[1], toEnd);
+            }
+            matches.push(...suffix);
+        };
+        compare(0, fromKeys.length, 0, toKeys.length);
+        return matches;
+    }
+
+    /**
+     * Creates a hunk for `OpString.diff`.
+     * 
+     * @private
+     * @method createHunk
+     * 
+     * @param {string} type - The type of the hunk; 'insert', 'delete' or 'modify'.
+     * @param {number} index - The index at which the hunk applies.
+     * @param {Object} entry - The inserted, deleted or modified operation entry.
+     * @param {Object} [previousEntry] - The operation entry before the modification.
+     * @returns {Object} - The hunk.
+     */
+    #createHunk(type, index, entry, previousEntry) {
+        const hunk = {
+            type,
+            index,
+            operation: this.#computeChar(entry.operation),
+            values: entry.values.map(charCode => this.#computeChar(charCode)),
+        };
+        if (previousEntry !== undefined) {
+            hunk.previousValues = previousEntry.values.map(charCode => this.#computeChar(charCode));
+        }
+        return hunk;
+    }
+
+    /**
+     * Applies the provided hunk to the sequence data array. (see `applyPatch`)
+     * 
+     * @private
+     * @method applyHunk
+     * 
+     * @param {Object} hunk - The hunk to be applied.
+     * @param {number} hunkIndex - The index of the hunk in the patch.
+     * 
+     * @throws {ReferenceError} - If the hunk conflicts with the sequence.
+     */
+    #applyHunk(hunk, hunkIndex) {
+        const operation = this.#computeSymbolCharCode(hunk.operation);
+        const values = hunk.values.map(symbol => this.#computeSymbolCharCode(symbol));
+        const conflictMsg = `Cannot applyPatch, since the hunk at index ${hunkIndex} conflicts with the sequence.`;
+        if (hunk.type !== 'insert') {
+            const entry = this.#sequenceData[hunk.index];
+            const expectedValues = hunk.type === 'modify'
+                ? hunk.previousValues.map(symbol => this.#computeSymbolCharCode(symbol))
+                : values;
+            if (
+                entry === undefined
+                || String(entry.operation) !== String(operation)
+                || JSON.stringify(entry.values.map(String)) !== JSON.stringify(expectedValues.map(String))
+            ) {
+                throw new OpStringReferenceError(`${conflictMsg} The operation at index ${hunk.index} differs from the expected one.`, 'OPSTRING_PATCH_CONFLICT');
+            }
+            this.remove(entry.id);
+        }
+        if (hunk.type !== 'delete') {
+            if (hunk.index > this.#sequenceData.length) {
+                throw new OpStringReferenceError(`${conflictMsg} The index ${hunk.index} exceeds the length of the sequence.`, 'OPSTRING_PATCH_CONFLICT');
+            }
+            const id = this.insert(
+                hunk.index,
+                this.#computeSymbolArgument(operation),
+                values.length > 0 ? values.map(charCode => this.#computeSymbolArgument(charCode)) : undefined,
+            );
+            if (id === false) {
+                throw new OpStringReferenceError(`${conflictMsg} The operation couldn't be inserted.`, 'OPSTRING_PATCH_CONFLICT');
+            }
+        }
+    }
+
+    /**
+     * Finds the first unused character code of the configured `symbolAlphabet`, skipping the
+     * characters of the literal prefix and terminator, the characters '-' and '.' reserved
+     * within literals, and the first characters of the provided tokens.
+     * 
+     * @private
+     * @method allocateCharCode
+     * 
+     * @param {function} isUsed - The function checking whether a character code is used.
+     * @param {Array<string>} [tokens] - The multi-character tokens. (default: the registered
+     *      multi-character tokens)
+     * @returns {number} - The unused character code.
+     * 
+     * @throws {RangeError} - If there is no unused character code.
+     */
+    #allocateCharCode(isUsed, tokens = this.#getTokens()) {
+        for (const charCode of this.#getAlphabetCharCodes()) {
+            if (isUsed(charCode)) {
+                continue;
+            }
+            const char = this.#computeChar(charCode);
+            if (
+                (
+                    this.#literals !== undefined
+                    && (
+                        this.#literals.prefix.includes(char)
+                        || this.#literals.terminator.includes(char)
+                        || char === '-'
+                        || char === '.'
+                    )
+                )
+                || tokens.some(token => token.startsWith(char))
+            ) {
+                continue;
+            }
+            return charCode;
+        }
+        throw new OpStringRangeError(`Cannot allocate a symbol, since all symbols of the symbol alphabet are used.`, 'OPSTRING_NO_SYMBOL_AVAILABLE');
+    }
+
+    /**
+     * Yields the character codes of the configured `symbolAlphabet` in allocation order.
+     * Digits are skipped, as well as characters which aren't printable, i.e. control and format
+     * characters, unassigned code points and noncharacters, private-use characters, surrogates,
+     * separators and combining marks.
+     * 
+     * @private
+     * @method getAlphabetCharCodes
+     * 
+     * @yields {number} - The character codes of the symbol alphabet.
+     */
+    *#getAlphabetCharCodes() {
+        if (this.#symbolAlphabet === 'urlSafe') {
+            yield* Array.from('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_.~', char => char.charCodeAt(0));
+            return;
+        }
+        if (! this.#symbolAlphabets.includes(this.#symbolAlphabet)) {
+            yield* Array.from(this.#symbolAlphabet, char => char.codePointAt(0));
+            return;
+        }
+        const maxCharCode = this.#symbolAlphabet === 'printable' ? 126 : 65535;
+        for (let charCode = 33; charCode <= maxCharCode; charCode++) {
+            if (
+                (charCode >= 48 && charCode <= 57)
+                || /^[\p{C}\p{Z}\p{M}]$/u.test(String.fromCharCode(charCode))
+            ) {
+                continue;
+            }
+            yield charCode;
+        }
+    }
+
+    /**
+     * Allocates an unused character code for an operation or value registered without a symbol.
+     * 
+     * @private
+     * @method allocateSymbolCharCode
+     * 
+     * @returns {number} - The unused character code.
+     * 
+     * @throws {RangeError} - If there is no unused character code.
+     */
+    #allocateSymbolCharCode() {
+        return this.#allocateCharCode(charCode => (
+            this.#operations[charCode] !== undefined
+            || this.#values[charCode] !== undefined
+            || this.#getControlType(charCode) !== undefined
+        ));
+    }
+
+    /**
+     * Resolves the provided symbol or label to the character code of the symbol. Strings are
+     * resolved as label, unless they are a registered operation or value symbol themselves.
+     * 
+     * @private
+     * @method resolveSymbolOrLabel
+     * 
+     * @param {string|number} symbol - The character, character code or label.
+     * @returns {number|string} - The character code or token of the symbol.
+     */
+    #resolveSymbolOrLabel(symbol) {
+        const charCode = this.#computeCharCode(symbol);
+        if (
+            typeof symbol === 'string'
+            && this.#operations[charCode] === undefined
+            && this.#values[charCode] === undefined
+            && Object.prototype.hasOwnProperty.call(this.#labels, symbol)
+        ) {
+            return this.#labels[symbol];
+        }
+        return charCode;
+    }
+
+    /**
+     * Computes the character code of the provided symbol, i.e. a single character, code point,
+     * registered multi-character token or literal.
+     * 
+     * @private
+     * @method computeSymbolCharCode
+     * 
+     * @param {string} symbol - The symbol.
+     * @returns {number|string|undefined} - The character code or token of the symbol, or
+     *      `undefined` if the string doesn't consist of exactly one symbol.
+     */
+    #computeSymbolCharCode(symbol) {
+        const charCodes = this.#computeSequenceCharCodes(symbol);
+        return charCodes.length === 1 ? charCodes[0] : undefined;
+    }
+
+    /**
+     * Computes the argument representing the provided character code for `append`, `insert`
+     * and `prepend`, i.e. the character code as string, the token or the literal.
+     * 
+     * @private
+     * @method computeSymbolArgument
+     * 
+     * @param {number|string} charCode - The character code or token of the symbol.
+     * @returns {number|string} - The argument.
+     */
+    #computeSymbolArgument(charCode) {
+        return typeof charCode === 'number' ? String(charCode) : charCode;
+    }
+
+    /**
+     * Returns the first label registered for the provided symbol.
+     * 
+     * @private
+     * @method getLabelForSymbol
+     * 
+     * @param {number|string} charCode - The character code or token of the symbol.
+     * @returns {string|undefined} - The label, or `undefined` if no label is registered.
+     */
+    #getLabelForSymbol(charCode) {
+        return Object.keys(this.#labels).find(label => String(this.#labels[label]) === String(charCode));
+    }
+
+    /**
+     * Parses the provided character sequence into an array of operation entries. Characters
+     * preceding the first operation are ignored.
+     * 
+     * Operations with a declared arity consume exactly the declared number of values, in which
+     * case required values may also be operation symbols. Operations without a declared arity
+     * consume values until the next operation symbol. Control symbols and the names of macros
+     * defined before always end the values of an operation.
+     * 
+     * If `controlSymbols` are configured, each control-flow block is parsed into an entry with
+     * the control symbol as `operation`, its argument as single value and its operations as
+     * `children`. Blocks that aren't closed by the `end` symbol are closed implicitly.
+     * 
+     * @private
+     * @method parseSequence
+     * 
+     * @param {string} sequence - The character sequence to be parsed.
+     * @param {Set<number|string>} [unknownValues] - If provided, the unknown value symbols are
+     *      added to this set.
+     * @param {Array<Object>} [issues] - If provided, parsing issues are added to this array
+     *      instead of being logged.
+     * @returns {Array<Object>} - An array of objects with the properties `operation` and `values`,
+     *      containing the character codes of the operation and its values, and for control-flow
+     *      blocks, the `children` entries.
+     */
+    #parseSequence(sequence, unknownValues, issues) {
+        const charCodes = this.#computeSequenceCharCodes(sequence);
+        const macros = new Set();
+        const isBoundary = charCode => this.#getControlType(charCode) !== undefined || macros.has(String(charCode));
+        const collectUnknownValue = (valueCharCode) => {
+            if (
+                unknownValues !== undefined
+                && this.#operations[valueCharCode] === undefined
+                && this.#resolveValue(valueCharCode) === undefined
+            ) {
+                unknownValues.add(valueCharCode);
+            }
+        };
+        const parseEntries = (start, depth) => {
+            const entries = [];
+            let i = start;
+            for (; i < charCodes.length; i++) {
+                const operationCharCode = charCodes[i];
+                const controlType = this.#getControlType(operationCharCode);
+                if (controlType === 'end') {
+                    if (depth > 0) {
+                        return { entries, end: i };
+                    }
+                    this.#reportIssue(issues, {
+                        type: 'unexpectedEnd',
+                        position: i,
+                        symbol: this.#computeChar(operationCharCode),
+                        message: `The end symbol '${this.#computeChar(operationCharCode)}' at position ${i} doesn't close a block and will be ignored.`,
+                    }, 'OPSTRING_CONTROL_ERROR');
+                    continue;
+                }
+                if (controlType !== undefined) {
+                    const argument = charCodes[i + 1];
+                    const values = [];
+                    if (argument === undefined || this.#getControlType(argument) !== undefined) {
+                        this.#reportIssue(issues, {
+                            type: 'missingArgument',
+                            position: i,
+                            symbol: this.#computeChar(operationCharCode),
+                            message: `The ${controlType} block at position ${i} is missing its argument.`,
+                        }, 'OPSTRING_CONTROL_ERROR');
+                    } else {
+                        if (controlType === 'repeat') {
+                            collectUnknownValue(argument);
+                        }
+                        values.push(argument);
+                    }
+                    const block = parseEntries(i + 1 + values.length, depth + 1);
+                    if (block.end === charCodes.length) {
+                        this.#reportIssue(issues, {
+                            type: 'unterminatedBlock',
+                            position: i,
+                            symbol: this.#computeChar(operationCharCode),
+                            message: `The ${controlType} block at position ${i} isn't closed by the end symbol '${this.#computeChar(this.#controlSymbols.end)}'.`,
+                        }, 'OPSTRING_CONTROL_ERROR');
+                    }
+                    entries.push({ operation: operationCharCode, values, children: block.entries });
+                    if (controlType === 'define' && values.length > 0) {
+                        macros.add(String(values[0]));
+                    }
+                    i = block.end;
+                    continue;
+                }
+                if (macros.has(String(operationCharCode))) {
+                    entries.push({ operation: operationCharCode, values: [] });
+                    continue;
+                }
+                if (! this.#operations[operationCharCode]) {
+                    continue;
+                }
+                const arity = this.#arities[operationCharCode];
+                const values = [];
+                let j = i + 1;
+                while (j < charCodes.length) {
+                    const valueCharCode = charCodes[j];
+                    const valueCharCode_isOperation = this.#operations[valueCharCode] !== undefined;
+                    if (isBoundary(valueCharCode)) {
+                        break;
+                    }
+                    if (arity === undefined) {
+                        if (valueCharCode_isOperation && this.#values[valueCharCode] === undefined) {
+                            break;
+                        }
+                    } else if (
+                        values.length >= arity.max
+                        || (values.length >= arity.min && valueCharCode_isOperation)
+                    ) {
+                        break;
+                    }
+                    collectUnknownValue(valueCharCode);
+                    values.push(valueCharCode);
+                    j++;
+                }
+                if (arity !== undefined) {
+                    let received = values.length;
+                    while (j < charCodes.length && ! this.#operations[charCodes[j]] && ! isBoundary(charCodes[j])) {
+                        received++;
+                        j++;
+                    }
+                    if (received !== values.length || values.length < arity.min) {
+                        this.#reportIssue(issues, {
+                            type: values.length < arity.min ? 'tooFewValues' : 'tooManyValues',
+                            position: i,
+                            symbol: this.#computeChar(operationCharCode),
+                            expected: { min: arity.min, max: arity.max },
+                            received,
+                            message: `The operation with symbol '${this.#computeChar(operationCharCode)}' at position ${i} expects ${this.#describeArity(arity)} values, but received ${received}.`,
+                        });
+                    }
+                }
+                entries.push({ operation: operationCharCode, values });
+                i = j - 1;
+            }
+            return { entries, end: i };
+        };
+        return parseEntries(0, 0).entries;
+    }
+
+    /**
+     * Returns the issue of the value symbol at the provided position of the character codes,
+     * if any. (see `validate`)
+     * 
+     * @private
+     * @method findSymbolIssue
+     * 
+     * @param {Array<number|string>} charCodes - The character codes and tokens of the sequence.
+     * @param {number} position - The position of the value symbol.
+     * @param {boolean} operationFound - Whether an operation precedes the value symbol.
+     * @returns {Object|undefined} - The issue without its `position` and `symbol`, or
+     *      `undefined` if the value symbol has no issue.
+     */
+    #findSymbolIssue(charCodes, position, operationFound) {
+        const charCode = charCodes[position];
+        if (typeof charCode === 'number') {
+            const isSurrogate = charCode >= 0xD800 && charCode <= 0xDFFF;
+            if (charCode < this.#minCharCode || charCode > this.#maxCharCode || (this.#codePointMode && isSurrogate)) {
+                return {
+                    type: 'outOfRange',
+                    charCode,
+                    message: `The character code ${charCode} at position ${position} is outside the supported range of ${this.#minCharCode} and ${this.#maxCharCode}${this.#codePointMode ? ', excluding lone surrogates' : ''}.`,
+                };
+            }
+            const isLowSurrogate = charCode >= 0xDC00;
+            const previousCharCode = charCodes[position - 1];
+            if (
+                ! this.#codePointMode
+                && isSurrogate
+                && this.#values[charCode] === undefined
+            ) {
+                if (isLowSurrogate && previousCharCode >= 0xD800 && previousCharCode <= 0xDBFF) {
+                    // NOTE: Already reported for the preceding high surrogate.
+                    return undefined;
+                }
+                return {
+                    type: 'outOfRange',
+                    charCode,
+                    message: `The surrogate character code ${charCode} at position ${position} is part of a character beyond the BMP, which requires the 'codePointMode' configuration.`,
+                };
+            }
+        }
+        const symbol = this.#computeChar(charCode);
+        if (! operationFound) {
+            return {
+                type: 'valueBeforeOperation',
+                message: `The value with symbol '${symbol}' at position ${position} precedes the first operation and will be ignored.`,
+            };
+        }
+        if (this.#decodeLiteral(charCode) !== undefined) {
+            return undefined;
+        }
+        if (! Object.prototype.hasOwnProperty.call(this.#values, charCode)) {
+            return {
+                type: 'unknownSymbol',
+                message: `The symbol '${symbol}' at position ${position} is neither registered as operation nor as value.`,
+            };
+        }
+        if (this.#values[charCode] === null || this.#values[charCode] === undefined) {
+            return {
+                type: 'nullValue',
+                value: this.#values[charCode],
+                message: `The value with symbol '${symbol}' at position ${position} is registered with a value of '${this.#values[charCode]}'.`,
+            };
+        }
+        return undefined;
+    }
+
+    /**
+     * Adds the provided issue to the `issues` array, if provided; otherwise, logs the issue as a
+     * RangeError.
+     * 
+     * @private
+     * @method reportIssue
+     * 
+     * @param {Array<Object>} [issues] - The array to which the issue should be added.
+     * @param {Object} issue - The issue object containing at least a `message` property.
+     * @param {string} [code] - The error code of the logged issue.
+     *      (default: 'OPSTRING_ARITY_MISMATCH')
+     */
+    #reportIssue(issues, issue, code = 'OPSTRING_ARITY_MISMATCH') {
+        if (issues !== undefined) {
+            issues.push(issue);
+        } else {
+            this.#logError(new OpStringRangeError(issue.message, code));
+        }
+    }
+
+    /**
+     * Returns the control type of the provided character code, if it's a configured control
+     * symbol.
+     * 
+     * @private
+     * @method getControlType
+     * 
+     * @param {number|string} charCode - The character code or token.
+     * @returns {string|undefined} - Either 'repeat', 'define', 'condition' or 'end', or
+     *      `undefined` if the character code isn't a control symbol.
+     */
+    #getControlType(charCode) {
+        if (this.#controlSymbols === undefined) {
+            return undefined;
+        }
+        return Object.keys(this.#controlSymbols).find(type => this.#controlSymbols[type] === charCode);
+    }
+
+    /**
+     * Expands the provided operation entries into the operation entries to be executed, i.e.
+     * repeats the operations of repeat blocks, inlines the operations of invoked macros and
+     * omits the operations of condition blocks, of which the flag isn't set. Entries of
+     * unregistered operations are omitted.
+     * 
+     * @private
+     * @method expandEntries
+     * 
+     * @param {Array<Object>} entries - The operation entries to be expanded.
+     * @param {Object} [flags] - The flags of condition blocks.
+     * @param {Map} macros - The macros defined so far, mapped by their names. Each macro
+     *      contains its `children` and the `macros` defined before it, so that a macro can only
+     *      invoke macros defined before it.
+     * @param {Array<Object>} expanded - The array to which the expanded entries are added.
+     * @param {number} [rootIndex] - The index of the top-level entry containing the entries.
+     * @param {Array<Object>} [issues] - If provided, invalid repeat counts are added to this
+     *      array instead of being logged.
+     * 
+     * @throws {RangeError} - If the expanded entries would exceed the maximum number of
+     *      expanded operations.
+     */
+    #expandEntries(entries, flags, macros, expanded, rootIndex, issues) {
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const index = rootIndex !== undefined ? rootIndex : i;
+            const controlType = this.#getControlType(entry.operation);
+            if (controlType === 'define') {
+                if (entry.values.length > 0) {
+                    macros.set(String(entry.values[0]), { children: entry.children, macros: new Map(macros) });
+                }
+            } else if (controlType === 'repeat') {
+                const count = entry.values.length > 0 ? this.#resolveValue(entry.values[0]) : undefined;
+                if (! (Number.isSafeInteger(count) && count >= 0)) {
+                    this.#reportIssue(issues, {
+                        type: 'invalidCount',
+                        message: `Cannot repeat the block at index ${index}, since its count '${count}' is not a non-negative safe integer.`,
+                    }, 'OPSTRING_CONTROL_ERROR');
+                    continue;
+                }
+                for (let j = 0; j < count; j++) {
+                    const length = expanded.length;
+                    this.#expandEntries(entry.children, flags, macros, expanded, index, issues);
+                    const added = expanded.length - length;
+                    if (added === 0) {
+                        // NOTE: Further repetitions can't add operations either, since the macros don't change.
+                        break;
+                    }
+                    if (expanded.length + added * (count - j - 1) > this.#maxExpandedLength) {
+                        throw this.#createExpansionError(index);
+                    }
+                }
+            } else if (controlType === 'condition') {
+                if (
+                    entry.values.length > 0
+                    && flags !== undefined
+                    && flags[this.#computeChar(entry.values[0])]
+                ) {
+                    this.#expandEntries(entry.children, flags, macros, expanded, index, issues);
+                }
+            } else if (macros.has(String(entry.operation))) {
+                const macro = macros.get(String(entry.operation));
+                this.#expandEntries(macro.children, flags, new Map(macro.macros), expanded, index, issues);
+            } else if (this.#operations[entry.operation]) {
+                if (expanded.length >= this.#maxExpandedLength) {
+                    throw this.#createExpansionError(index);
+                }
+                expanded.push({ ...entry, index });
+            }
+        }
+    }
+
+    /**
+     * Creates the error reported when the expanded operations exceed the maximum number of
+     * expanded operations.
+     * 
+     * @private
+     * @method createExpansionError
+     * 
+     * @param {number} index - The index of the top-level entry being expanded.
+     * @returns {OpStringRangeError}
+     */
+    #createExpansionError(index) {
+        return new OpStringRangeError(`Cannot expand the control-flow blocks at index ${index}, since the sequence would execute more than ${this.#maxExpandedLength} operations.`, 'OPSTRING_CONTROL_ERROR');
+    }
+
+    /**
+     * Inlines the operations of invoked macros into the provided operation entries and omits
+     * the define blocks, resolving macros the same way as `expandEntries`.
+     * 
+     * @private
+     * @method inlineMacros
+     * 
+     * @param {Array<Object>} entries - The operation entries.
+     * @param {Map} macros - The macros defined so far, mapped by their names.
+     * @param {Object} [counter] - The counter of the inlined entries, shared by the recursive
+     *      calls.
+     * @returns {Array<Object>} - The operation entries without macros.
+     * 
+     * @throws {RangeError} - If the inlined entries would exceed the maximum number of
+     *      expanded operations.
+     */
+    #inlineMacros(entries, macros, counter = { count: 0 }) {
+        const inlined = [];
+        for (const entry of entries) {
+            const controlType = this.#getControlType(entry.operation);
+            if (controlType === 'define') {
+                if (entry.values.length > 0) {
+                    macros.set(String(entry.values[0]), { children: entry.children, macros: new Map(macros) });
+                }
+                continue;
+            }
+            if (++counter.count > this.#maxExpandedLength) {
+                throw new OpStringRangeError(`Cannot inline the macros, since the sequence would contain more than ${this.#maxExpandedLength} operations.`, 'OPSTRING_CONTROL_ERROR');
+            }
+            if (controlType !== undefined) {
+                inlined.push({ ...entry, children: this.#inlineMacros(entry.children, macros, counter) });
+            } else if (macros.has(String(entry.operation))) {
+                const macro = macros.get(String(entry.operation));
+                counter.count--;
+                for (const inlinedEntry of this.#inlineMacros(macro.children, new Map(macro.macros), counter)) {
+                    inlined.push(inlinedEntry);
+                }
+            } else {
+                inlined.push(entry);
+            }
+        }
+        return inlined;
+    }
+
+    /**
+     * Resolves the provided value character codes to their registered values. Unknown value
+     * symbols are resolved to `undefined`. Unless the operation has a declared arity, values
+     * following an operation symbol are omitted.
+     * 
+     * @private
+     * @method resolveValues
+     * 
+     * @param {Array<number>} valueCharCodes - The character codes of the values to be resolved.
+     * @param {number} [operationCharCode] - The character code of the operation to which the
+     *      values belong.
+     * @returns {Array<*>} - The resolved values.
+     */
+    #resolveValues(valueCharCodes, operationCharCode) {
+        const hasArity = this.#arities[operationCharCode] !== undefined;
+        const args = [];
+        for (let i = 0; i < valueCharCodes.length; i++) {
+            const value = this.#resolveValue(valueCharCodes[i]);
+            if (! hasArity && value === undefined && this.#operations[valueCharCodes[i]]) {
+                break;
+            }
+            args.push(value);
+        }
+        return args;
+    }
+
+    /**
+     * Encodes the provided number as an inline numeric literal consisting of the configured
+     * `prefix`, an optional minus sign, the digits of the number in the base of the configured
+     * `alphabet`, an optional radix point followed by fractional digits, and the configured
+     * `terminator`.
+     * 
+     * @private
+     * @method encodeLiteral
+     * 
+     * @param {number} number - The finite number to be encoded.
+     * @returns {string} - The inline numeric literal.
+     */
+    #encodeLiteral(number) {
+        const { prefix, terminator, alphabet } = this.#literals;
+        const digits = Array.from(alphabet);
+        const base = BigInt(digits.length);
+        const absolute = Math.abs(number);
+        let integer = BigInt(Math.trunc(absolute));
+        let body = '';
+        do {
+            body = digits[Number(integer % base)] + body;
+            integer /= base;
+        } while (integer > 0n);
+        if (number < 0) {
+            body = '-' + body;
+        }
+        let fraction = absolute - Math.trunc(absolute);
+        if (fraction > 0) {
+            const fractionDigits = [];
+            for (let i = 0; i < 64 && fraction > 0; i++) {
+                fraction *= digits.length;
+                const digit = Math.floor(fraction);
+                fractionDigits.push(digits[digit]);
+                fraction -= digit;
+            }
+            /**
+             * NOTE: Use the shortest fractional part that decodes to the same number, since
+             * the digits computed above are subject to floating-point rounding.
+             */
+            let length = 1;
+            while (
+                length < fractionDigits.length
+                && this.#decodeLiteral(`${prefix}${body}.${fractionDigits.slice(0, length).join('')}${terminator}`) !== number
+            ) {
+                length++;
+            }
+            body += '.' + fractionDigits.slice(0, length).join('');
+        }
+        return prefix + body + terminator;
+    }
+
+    /**
+     * Decodes the provided inline numeric literal. (see `encodeLiteral`)
+     * 
+     * @private
+     * @method decodeLiteral
+     * 
+     * @param {*} literal - The inline numeric literal to be decoded.
+     * @returns {number|undefined} - The decoded number, or `undefined` if the provided value is
+     *      not a valid inline numeric literal or inline numeric literals are not configured.
+     */
+    #decodeLiteral(literal) {
+        if (this.#literals === undefined || typeof literal !== 'string') {
+            return undefined;
+        }
+        const { prefix, terminator, alphabet } = this.#literals;
+        if (
+            ! literal.startsWith(prefix)
+            || ! literal.endsWith(terminator)
+            || literal.length < prefix.length + terminator.length + 1
+        ) {
+            return undefined;
+        }
+        const digits = Array.from(alphabet);
+        const base = digits.length;
+        let body = literal.slice(prefix.length, literal.length - terminator.length);
+        const isNegative = body.startsWith('-');
+        if (isNegative) {
+            body = body.slice(1);
+        }
+        const [integerPart, fractionPart, ...rest] = body.split('.');
+        if (
+            rest.length > 0
+            || integerPart.length === 0
+            || (fractionPart !== undefined && fractionPart.length === 0)
+        ) {
+            return undefined;
+        }
+        let integer = 0n;
+        for (const char of integerPart) {
+            const digit = digits.indexOf(char);
+            if (digit === -1) {
+                return undefined;
+            }
+            integer = integer * BigInt(base) + BigInt(digit);
+        }
+        let fraction = 0;
+        if (fractionPart !== undefined) {
+            const fractionDigits = Array.from(fractionPart);
+            for (let i = fractionDigits.length - 1; i >= 0; i--) {
+                const digit = digits.indexOf(fractionDigits[i]);
+                if (digit === -1) {
+                    return undefined;
+                }
+                fraction = (fraction + digit) / base;
+            }
+        }
+        const number = Number(integer) + fraction;
+        return isNegative ? -number : number;
+    }
+
+    /**
+     * Resolves the provided value character code to its registered value, or decodes it if it
+     * is an inline numeric literal.
+     * 
+     * @private
+     * @method resolveValue
+     * 
+     * @param {number|string} valueCharCode - The character code, token or literal of the value.
+     * @returns {*} - The resolved value, or `undefined` if the value symbol is unknown.
+     */
+    #resolveValue(valueCharCode) {
+        const literal = this.#decodeLiteral(valueCharCode);
+        if (literal !== undefined) {
+            return literal;
+        }
+        return this.#values[valueCharCode];
+    }
+
+    /**
+     * Checks whether the value is a literal object, i.e. a plain object containing nothing but
+     * a finite number as `literal` property, while inline numeric literals are configured.
+     * 
+     * @private
+     * @method isLiteralObject
+     * 
+     * @param {*} value - The value to be checked.
+     * @returns {boolean}
+     */
+    #isLiteralObject(value) {
+        return (
+            this.#literals !== undefined
+            && this.#isPlainObject(value)
+            && Object.keys(value).length === 1
+            && Number.isFinite(value.literal)
+        );
+    }
+
+    /**
+     * Checks whether the value is a valid `literals` configuration.
+     * 
+     * @private
+     * @method isValidLiteralsConfig
+     * 
+     * @param {*} value - The value to be checked.
+     * @returns {boolean}
+     */
+    #isValidLiteralsConfig(value) {
+        if (
+            ! this.#isPlainObject(value)
+            || ! Object.keys(value).every(key => ['prefix', 'terminator', 'alphabet'].includes(key))
+        ) {
+            return false;
+        }
+        const { prefix, terminator, alphabet } = { ...this.#defaultLiterals, ...value };
+        if (
+            typeof prefix !== 'string'
+            || typeof terminator !== 'string'
+            || typeof alphabet !== 'string'
+            || prefix.length === 0
+            || terminator.length === 0
+        ) {
+            return false;
+        }
+        const digits = Array.from(alphabet);
+        const reservedChars = [...Array.from(prefix), ...Array.from(terminator), '-', '.'];
+        return (
+            digits.length >= 2
+            && new Set(digits).size === digits.length
+            && digits.every(digit => ! reservedChars.includes(digit))
+        );
+    }
+
+    /**
+     * Checks whether the value is a valid `symbolAlphabet` configuration.
+     * 
+     * @private
+     * @method isValidSymbolAlphabet
+     * 
+     * @param {*} value - The value to be checked.
+     * @param {boolean} codePointMode - Whether characters beyond the Basic Multilingual Plane are
+     *      supported.
+     * @returns {boolean}
      */
-    registerLabel(label, symbol) {
-        try {
-            this.#validateArguments('registerLabel', arguments);
-            const symbolType = this.#getSymbolType(symbol);
-            if (symbolType === this.#symbolTypeString) {
-                this.#labels[label] = symbol.charCodeAt(0);
-            } else if (symbolType === this.#symbolTypeInteger) {
-                this.#labels[label] = symbol;
-            }
-        } catch (error) {
-            this.#logError(error);
+    #isValidSymbolAlphabet(value, codePointMode) {
+        if (this.#symbolAlphabets.includes(value)) {
+            return true;
+        }
+        if (typeof value !== 'string' || value.length === 0) {
+            return false;
         }
+        const chars = Array.from(value);
+        return (
+            new Set(chars).size === chars.length
+            && chars.every(char => ! /^\d$/.test(char) && (codePointMode || char.length === 1))
+        );
     }
 
     /**
-     * Registers additional label mappings provided by the `labels` object.
+     * Checks whether the value is a valid `controlSymbols` configuration.
      * 
-     * @method registerLabels
+     * @private
+     * @method isValidControlSymbols
      * 
-     * @param {Object} labels - Object containing additional label mappings to be registered.
+     * @param {*} value - The value to be checked.
+     * @param {boolean} codePointMode - Whether characters beyond the Basic Multilingual Plane are
+     *      supported.
+     * @param {Object} [literals] - The `literals` configuration, if any.
+     * @returns {boolean}
      */
-    registerLabels(labels) {
-        try {
-            this.#validateArguments('registerLabels', arguments);
-            this.#registerLabelsInternal(labels);
-        } catch (error) {
-            this.#logError(error);
+    #isValidControlSymbols(value, codePointMode, literals) {
+        if (
+            ! this.#isPlainObject(value)
+            || ! Object.keys(value).every(key => this.#controlTypes.includes(key))
+            || value.end === undefined
+            || Object.keys(value).length < 2
+        ) {
+            return false;
         }
+        const symbols = Object.values(value);
+        const prefix = literals !== undefined ? { ...this.#defaultLiterals, ...literals }.prefix : undefined;
+        return (
+            new Set(symbols).size === symbols.length
+            && symbols.every(symbol => (
+                typeof symbol === 'string'
+                && Array.from(symbol).length === 1
+                && (codePointMode || symbol.length === 1)
+                && ! /^\d$/.test(symbol)
+                && (prefix === undefined || ! prefix.startsWith(symbol))
+            ))
+        );
     }
 
     /**
-     * Registers additional label mappings provided by the `labels` object without re-validating
-     * the `labels` object.
+     * Normalizes the provided arity declaration to an object with the properties `min` and `max`.
      * 
      * @private
-     * @method registerLabels
+     * @method normalizeArity
      * 
-     * @param {Object} labels - Object containing the label mappings to be registered.
+     * @param {number|Object|string} arity - The arity declaration to be normalized.
+     * @returns {Object} - An object with the properties `min` and `max`.
      */
-    #registerLabelsInternal(labels) {
-        for (const [label, symbol] of Object.entries(labels)) {
-            this.registerLabel(label, symbol);
+    #normalizeArity(arity) {
+        if (arity === 'variadic') {
+            return { min: 0, max: Infinity };
+        } else if (typeof arity === 'number') {
+            return { min: arity, max: arity };
         }
+        return {
+            min: arity.min,
+            max: arity.max !== undefined ? arity.max : Infinity,
+        };
     }
 
     /**
-     * Registers the label mappings provided by the `labels` object. Previously registered
-     * label mappings will be deleted.
+     * Returns a human-readable description of the provided normalized arity.
      * 
-     * @method setLabels
+     * @private
+     * @method describeArity
      * 
-     * @param {Object} labels - Object containing new labels mappings to be registered.
+     * @param {Object} arity - The normalized arity with the properties `min` and `max`.
+     * @returns {string}
      */
-    setLabels(labels) {
-        try {
-            this.#validateArguments('setLabels', arguments);
-            this.#labels = {};
-            this.#registerLabelsInternal(labels);
-        } catch (error) {
-            this.#logError(error);
+    #describeArity(arity) {
+        if (arity.min === arity.max) {
+            return `exactly ${arity.min}`;
+        } else if (arity.max === Infinity) {
+            return `at least ${arity.min}`;
         }
+        return `between ${arity.min} and ${arity.max}`;
     }
 
     /**
-     * Returns the registered labels.
+     * Checks whether the value is a valid arity declaration.
      * 
-     * @method getLabels
+     * @private
+     * @method isValidArity
      * 
-     * @returns {Object} - The registered labels
+     * @param {*} value - The value to be checked.
+     * @returns {boolean}
      */
-    getLabels() {
-        return this.#labels;
+    #isValidArity(value) {
+        const isCount = count => Number.isSafeInteger(count) && count >= 0;
+        if (value === 'variadic' || isCount(value)) {
+            return true;
+        }
+        return (
+            this.#isPlainObject(value)
+            && Object.keys(value).every(key => ['min', 'max'].includes(key))
+            && isCount(value.min)
+            && (value.max === undefined || (isCount(value.max) && value.max >= value.min))
+        );
     }
 
     /**
-     * Returns the corresponding character for the provided label, if the label is registered.
+     * Checks whether the value is a valid parameter schema, i.e. an array of registered type
+     * names or objects with a registered `type` and optionally `min`, `max`, `enum` and
+     * `optional` properties, where optional parameters are trailing.
      * 
-     * @param {string} label - The label for which a coresponding character should be returned.
-     * @returns {string|undefined} - If the label is registered, the corresponding character
-     *      is returned; otherwise `undefined`.
+     * @private
+     * @method isValidParams
+     * 
+     * @param {*} value - The value to be checked.
+     * @returns {boolean}
      */
-    getCharForLabel(label) {
-        try {
-            this.#validateArguments('getCharForLabel', arguments);
-            const charCode = this.getCharCodeForLabel(label);
-            if (charCode !== undefined) {
-                return String.fromCharCode(charCode);
-            }
-        } catch (error) {
-            this.#logError(error);
+    #isValidParams(value) {
+        if (! Array.isArray(value)) {
+            return false;
         }
-        return undefined;
+        let optionalFound = false;
+        return value.every(param => {
+            if (typeof param === 'string') {
+                return ! optionalFound && this.#paramTypes[param] !== undefined;
+            }
+            if (
+                ! this.#isPlainObject(param)
+                || ! Object.keys(param).every(key => ['type', 'min', 'max', 'enum', 'optional'].includes(key))
+                || this.#paramTypes[param.type] === undefined
+                || (param.min !== undefined && typeof param.min !== 'number')
+                || (param.max !== undefined && typeof param.max !== 'number')
+                || (param.enum !== undefined && ! (Array.isArray(param.enum) && param.enum.length > 0))
+                || (param.optional !== undefined && typeof param.optional !== 'boolean')
+                || (optionalFound && param.optional !== true)
+            ) {
+                return false;
+            }
+            optionalFound = param.optional === true;
+            return true;
+        });
     }
 
     /**
-     * Returns the corresponding character code for the provided label, if the label is registered.
+     * Normalizes the provided parameter schema to an array of objects with a `type` property.
      * 
-     * @param {string} label - The label for which a coresponding character code should be returned.
-     * @returns {number|undefined} - If the label is registered, the corresponding character code
-     *      is returned; otherwise `undefined`.
+     * @private
+     * @method normalizeParams
+     * 
+     * @param {Array<string|Object>} params - The parameter schema to be normalized.
+     * @returns {Array<Object>} - The normalized parameter schema.
      */
-    getCharCodeForLabel(label) {
-        try {
-            this.#validateArguments('getCharCodeForLabel', arguments);
-            if (this.#labels[label] !== undefined) {
-                return this.#labels[label];
+    #normalizeParams(params) {
+        return params.map(param => {
+            const normalized = typeof param === 'string' ? { type: param } : { ...param };
+            if (normalized.enum !== undefined) {
+                normalized.enum = [...normalized.enum];
             }
-        } catch (error) {
-            this.#logError(error);
-        }
-        return undefined;
+            return normalized;
+        });
     }
 
     /**
-     * Sets the maximum allowed sequence limit.
+     * Returns a copy of the provided normalized parameter schema.
      * 
-     * @method setMaxSequenceLength
+     * @private
+     * @method cloneParams
      * 
-     * @param {number} maxSequenceLength - The maximum allowed sequence length
+     * @param {Array<Object>} params - The normalized parameter schema.
+     * @param {boolean} [freeze] - Specifies whether the copy should be frozen. (default: false)
+     * @returns {Array<Object>} - The copy of the parameter schema.
      */
-    setMaxSequenceLength(maxSequenceLength) {
-        try {
-            this.#validateArguments('setMaxSequenceLength', arguments);
-            this.#maxSequenceLength = maxSequenceLength;
-        } catch (error) {
-            this.#logError(error);
-        }
+    #cloneParams(params, freeze = false) {
+        const copy = params.map(param => {
+            const paramCopy = { ...param };
+            if (param.enum !== undefined) {
+                paramCopy.enum = freeze ? Object.freeze([...param.enum]) : [...param.enum];
+            }
+            return freeze ? Object.freeze(paramCopy) : paramCopy;
+        });
+        return freeze ? Object.freeze(copy) : copy;
     }
 
     /**
-     * Returns the `maxSequenceLength` value. If the `maxSequenceLength` has not been
-     * configured, `undefined` is returned.
+     * Returns a deep copy of the provided registered value, e.g. for `snapshot` or `clone`.
+     * Arrays, plain objects, maps, sets and dates are copied, whereas other values are returned
+     * as is.
      * 
-     * @method getMaxSequenceLength
+     * @private
+     * @method cloneValue
      * 
-     * @returns {number|undefined} - The configured `maxSequenceLength` value, or `undefined` if
-     *      not configured.
+     * @param {*} value - The registered value.
+     * @param {boolean} [freeze] - Specifies whether copied arrays and plain objects should be
+     *      frozen. (default: false)
+     * @param {Map<Object, Object>} [copies] - The copies of the objects containing the value, in
+     *      order to preserve cyclic and shared references.
+     * @returns {*} - The copy of the value.
      */
-    getMaxSequenceLength() {
-        return this.#maxSequenceLength;
+    #cloneValue(value, freeze = false, copies = new Map()) {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (copies.has(value)) {
+            return copies.get(value);
+        }
+        const clone = item => this.#cloneValue(item, freeze, copies);
+        let copy;
+        if (Array.isArray(value)) {
+            copy = [];
+            copies.set(value, copy);
+            value.forEach(item => copy.push(clone(item)));
+        } else if (this.#isPlainObject(value) || Object.getPrototypeOf(value) === null) {
+            copy = Object.create(Object.getPrototypeOf(value));
+            copies.set(value, copy);
+            Object.keys(value).forEach(key => {
+                copy[key] = clone(value[key]);
+            });
+        } else if (value instanceof Map) {
+            copy = new Map();
+            copies.set(value, copy);
+            value.forEach((item, key) => copy.set(clone(key), clone(item)));
+            return copy;
+        } else if (value instanceof Set) {
+            copy = new Set();
+            copies.set(value, copy);
+            value.forEach(item => copy.add(clone(item)));
+            return copy;
+        } else if (value instanceof Date) {
+            return new Date(value.getTime());
+        } else {
+            return value;
+        }
+        return freeze ? Object.freeze(copy) : copy;
     }
 
     /**
-     * Attempts to execute the character sequence of the current instance or a provided
-     * character sequence specified by the `sequence` parameter.
+     * Returns the first violation of the parameter schema of the provided operation by the
+     * provided values, if any.
      * 
-     * @method execute
+     * @private
+     * @method findParamsIssue
      * 
-     * @param {string} [sequence] - The character sequence to be executed instead of
-     *      the character sequence of the current instance.
+     * @param {number|string} operationCharCode - The character code or token of the operation.
+     * @param {Array<*>} args - The resolved values.
+     * @returns {string|undefined} - The description of the violation, or `undefined` if the
+     *      values match the parameter schema or the operation has none.
      */
-    execute(sequence) {
-        const sequence_isUndefined = sequence === undefined;
-        let caughtError = false;
-        try {
-            if (sequence_isUndefined) {
-                this.#validateArguments('executeMain', [this.#sequence]);
-            } else {
-                this.#validateArguments('executeProvided', arguments);
-            }
-        } catch (error) {
-            caughtError = true;
-            this.#logError(error);
-        } finally {
-            if (! caughtError || (caughtError && ! this.#strictMode)) {
-                if (sequence_isUndefined) {
-                    this.#executeSequenceFromData();
-                } else {
-                    this.#executeSequence(sequence);
+    #findParamsIssue(operationCharCode, args) {
+        const params = this.#params[operationCharCode];
+        if (params === undefined) {
+            return undefined;
+        }
+        if (args.length > params.length) {
+            return `The operation expects at most ${params.length} values, but received ${args.length}.`;
+        }
+        for (let i = 0; i < params.length; i++) {
+            const param = params[i];
+            if (i >= args.length) {
+                if (param.optional) {
+                    break;
                 }
+                return `The operation expects a value of type '${param.type}' at index ${i}, but received none.`;
+            }
+            const issue = this.#findParamIssue(param, args[i], i);
+            if (issue !== undefined) {
+                return issue;
             }
         }
+        return undefined;
     }
 
     /**
-     * Attempts to execute the provided character sequence.
+     * Returns the violation of the provided parameter by the provided value, if any.
      * 
      * @private
-     * @method executeSequence
+     * @method findParamIssue
      * 
-     * @param {string} sequence - The character sequence to be executed.
+     * @param {Object} param - The normalized parameter.
+     * @param {*} value - The resolved value.
+     * @param {number} index - The index of the value.
+     * @returns {string|undefined} - The description of the violation, or `undefined` if the
+     *      value matches the parameter.
      */
-    #executeSequence(sequence) {
-        if (typeof sequence !== 'string') {
-            sequence = '';
+    #findParamIssue(param, value, index) {
+        const valueStr = typeof value === 'string' ? `'${value}'` : String(value);
+        if (! this.#paramTypes[param.type](value)) {
+            return `The operation expects a value of type '${param.type}' at index ${index}, but received ${valueStr}.`;
         }
-        for (let i = 0; i < sequence.length; i++) {
-            const operation = this.#operations[sequence.charCodeAt(i)];
-            if (operation) {
-                const args = [];
-                for (let j = i+1; j < sequence.length; j++) {
-                    const valueCharCode = sequence.charCodeAt(j);
-                    const value = this.#values[valueCharCode];
-                    if (value !== undefined) {
-                        args.push(value);
-                    } else {
-                        if (this.#operations[valueCharCode]) {
-                            break;
-                        } else {
-                            args.push(undefined);
-                        }
-                    }
-                }
-                operation(...args);
-            }
+        if (param.enum !== undefined && ! param.enum.some(item => Object.is(item, value))) {
+            return `The operation expects one of the values ${param.enum.map(item => typeof item === 'string' ? `'${item}'` : String(item)).join(', ')} at index ${index}, but received ${valueStr}.`;
+        }
+        if (param.min !== undefined && ! (value >= param.min)) {
+            return `The operation expects a value of at least ${param.min} at index ${index}, but received ${valueStr}.`;
         }
+        if (param.max !== undefined && ! (value <= param.max)) {
+            return `The operation expects a value of at most ${param.max} at index ${index}, but received ${valueStr}.`;
+        }
+        return undefined;
     }
 
     /**
-     * Attempts to execute the provided character sequence from the sequence data array.
+     * Checks the provided values against the parameter schema of the provided operation. In
+     * strict mode, a violation is thrown, so that the action is refused; otherwise, a warning is
+     * logged and the action proceeds.
      * 
      * @private
-     * @method executeSequenceFromData
+     * @method checkParams
+     * 
+     * @param {number|string} operationCharCode - The character code or token of the operation.
+     * @param {Array<*>} args - The resolved values.
+     * @param {string} action - The description of the action, e.g. "append operation with
+     *      symbol 'A'".
+     * 
+     * @throws {TypeError} - If the values violate the parameter schema in strict mode.
      */
-    #executeSequenceFromData() {
-        for (let i = 0; i < this.#sequenceData.length; i++) {
-            const operationCharCode = this.#sequenceData[i].operation;
-            const operation = this.#operations[operationCharCode];
-            if (operation) {
-                const args = [];
-                for (let j = 0; j < this.#sequenceData[i].values.length; j++) {
-                    const valueCharCode = this.#sequenceData[i].values[j];
-                    const value = this.#values[valueCharCode];
-                    if (value !== undefined) {
-                        args.push(value);
-                    } else {
-                        if (this.#operations[valueCharCode]) {
-                            break;
-                        } else {
-                            args.push(undefined);
-                        }
-                    }
-                }
-                operation(...args);
-            }
+    #checkParams(operationCharCode, args, action) {
+        const issue = this.#findParamsIssue(operationCharCode, args);
+        if (issue === undefined) {
+            return;
+        }
+        if (this.#strictMode) {
+            throw new OpStringTypeError(`Cannot ${action}. ${issue}`, 'OPSTRING_INVALID_PARAM');
         }
+        this.#logError(new OpStringTypeError(`Proceeding to ${action} despite invalid values. ${issue}`, 'OPSTRING_INVALID_PARAM'));
     }
 
     /**
@@ -878,70 +5908,255 @@ export default class OpString {
     }
 
     /**
-     * Checks whether the value is within the allowed character code range.
+     * Checks whether the value is a plain object, which may be empty.
+     * 
+     * @private
+     * @method isPlainObject
+     * 
+     * @param {*} value - The value to be checked.
+     * @returns {boolean}
+     */
+    #isPlainObject(value) {
+        return (
+            typeof value === 'object'
+            && value !== null
+            && ! Array.isArray(value)
+            && Object.getPrototypeOf(value) === Object.prototype
+        );
+    }
+
+    /**
+     * Checks whether the value can be serialized to JSON and parsed back without loss.
+     * 
+     * @private
+     * @method isJsonSafe
+     * 
+     * @param {*} value - The value to be checked.
+     * @returns {boolean}
+     */
+    #isJsonSafe(value) {
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+            return true;
+        } else if (typeof value === 'number') {
+            return Number.isFinite(value);
+        } else if (Array.isArray(value)) {
+            return value.every(item => this.#isJsonSafe(item));
+        } else if (this.#isPlainObject(value)) {
+            return Object.values(value).every(item => this.#isJsonSafe(item));
+        }
+        return false;
+    }
+
+    /**
+     * Checks whether the value is within the allowed character code range.
+     * 
+     * @private
+     * @method isCharCodeWithinRange
+     * 
+     * @param {number} value - The value to be checked.
+     * @returns {boolean}
+     */
+    #isCharCodeWithinRange(value) {
+        return value >= this.#minCharCode && value <= this.#maxCharCode;
+    }
+
+    /**
+     * Check whether the value is a positive save integer.
+     * 
+     * @private
+     * @method isPositiveSafeInteger
+     * 
+     * @param {*} value - The value to be checked.
+     * @returns {boolean}
+     */
+    #isPositiveSafeInteger(value) {
+        return (
+            typeof value === 'number'
+            && Number.isSafeInteger(value)
+            && value > 0
+        );
+    }
+
+    /**
+     * Checks whether the provided character sequence is within the configured `maxSequenceLength`
+     * limit. If `maxSequenceLength` has not been configured, return `true`.
+     * 
+     * @private
+     * @method isSequenceLengthWithinLimit
+     * 
+     * @param {string} sequence - The character sequence to be checked.
+     * @returns {boolean}
+     */
+    #isSequenceLengthWithinLimit(sequence) {
+        if (
+            this.#maxSequenceLength !== undefined
+            && this.#computeLength(sequence) > this.#maxSequenceLength
+        ) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Reports the provided error as a diagnostic of the current call, passes it to the `onError`
+     * callback, if configured, and either logs it based on the current `strictMode`
+     * configuration or, if the `errorMode` is 'throw', throws it. An error that has already
+     * been reported during the current call, e.g. a warning thrown in the 'throw' error mode and
+     * caught by the calling method, isn't reported again, but only rethrown in the 'throw' error
+     * mode.
+     * 
+     * @param {Error} error - The error to be reported.
+     * @param {string} [code] - The error code of the diagnostic, if the error is not thrown by
+     *      OpString itself, e.g. when the callback of `batch` throws.
+     */
+    #logError(error, code) {
+        if (this.#diagnostics.some(diagnostic => diagnostic.error === error)) {
+            // NOTE: Errors already reported, e.g. warnings thrown in the 'throw' error mode, are only rethrown.
+            if (this.#errorMode === 'throw') {
+                throw error;
+            }
+            return;
+        }
+        this.#addDiagnostic(error, code);
+        if (this.#errorMode === 'throw') {
+            throw error;
+        }
+        this.#writeLog(error);
+        // console.trace();
+    }
+
+    /**
+     * Reports the provided error thrown by an event handler as a diagnostic of the current call,
+     * passes it to the `onError` callback, if configured, and logs it based on the current
+     * `strictMode` configuration. Unlike `logError`, the error is never thrown, since the
+     * change of the sequence which emitted the event has already been applied.
+     * 
+     * @private
+     * @method logHandlerError
+     * 
+     * @param {Error} error - The error thrown by the event handler.
+     */
+    #logHandlerError(error) {
+        this.#addDiagnostic(error, 'OPSTRING_HANDLER_ERROR');
+        this.#writeLog(error);
+    }
+
+    /**
+     * Adds the provided error to the diagnostics of the current call and passes it to the
+     * `onError` callback, if configured. Errors thrown by the `onError` callback are logged via
+     * `logger.error`, but neither reported nor thrown.
+     * 
+     * @private
+     * @method addDiagnostic
+     * 
+     * @param {Error} error - The error to be reported.
+     * @param {string} [code] - The error code of the diagnostic, if the error is not thrown by
+     *      OpString itself.
+     */
+    #addDiagnostic(error, code) {
+        const diagnostic = {
+            severity: this.#strictMode ? 'error' : 'warning',
+            code: this.#isOpStringError(error) ? error.code : code,
+            name: error.name,
+            message: error.message,
+            error,
+        };
+        this.#diagnostics.push(diagnostic);
+        if (this.#onError !== undefined) {
+            try {
+                this.#onError(error, diagnostic);
+            } catch (onErrorError) {
+                this.#logger.error(`[${this.constructor.name}] Error in onError callback: ${onErrorError.name}: ${onErrorError.message}`);
+            }
+        }
+    }
+
+    /**
+     * Logs the provided error based on the current `strictMode` configuration, i.e. as error
+     * in `strictMode`, otherwise as warning, unless warnings are ignored.
+     * 
+     * @private
+     * @method writeLog
+     * 
+     * @param {Error} error - The error to be logged.
+     */
+    #writeLog(error) {
+        const message = `[${this.constructor.name}] ${error.name}: ${error.message}`;
+        if (this.#strictMode) {
+            this.#logger.error(message);
+        } else {
+            if (! this.#ignoreWarnings) {
+                this.#logger.warn(message);
+            }
+        }
+    }
+
+    /**
+     * Clears the diagnostics of the previous call, unless diagnostics are currently kept.
      * 
      * @private
-     * @method isCharCodeWithinRange
-     * 
-     * @param {number} value - The value to be checked.
-     * @returns {boolean}
+     * @method resetDiagnostics
      */
-    #isCharCodeWithinRange(value) {
-        return value >= this.#minCharCode && value <= this.#maxCharCode;
+    #resetDiagnostics() {
+        if (this.#keptDiagnosticsDepth === 0) {
+            this.#diagnostics = [];
+        }
     }
 
     /**
-     * Check whether the value is a positive save integer.
+     * Calls the provided callback while keeping the diagnostics, so that nested calls of public
+     * methods add their diagnostics to the ones of the current call.
      * 
      * @private
-     * @method isPositiveSafeInteger
+     * @method keepDiagnostics
      * 
-     * @param {*} value - The value to be checked.
-     * @returns {boolean}
+     * @param {function} callback - The function to be called.
+     * @returns {*} - The return value of the callback.
      */
-    #isPositiveSafeInteger(value) {
-        return (
-            typeof value === 'number'
-            && Number.isSafeInteger(value)
-            && value > 0
-        );
+    #keepDiagnostics(callback) {
+        this.#keptDiagnosticsDepth++;
+        try {
+            return callback();
+        } finally {
+            this.#keptDiagnosticsDepth--;
+        }
     }
 
     /**
-     * Checks whether the provided character sequence is within the configured `maxSequenceLength`
-     * limit. If `maxSequenceLength` has not been configured, return `true`.
+     * Checks whether the provided error is thrown by OpString itself, i.e. has a stable error code.
      * 
      * @private
-     * @method isSequenceLengthWithinLimit
+     * @method isOpStringError
      * 
-     * @param {string} sequence - The character sequence to be checked.
+     * @param {*} error - The error to be checked.
      * @returns {boolean}
      */
-    #isSequenceLengthWithinLimit(sequence) {
-        if (
-            this.#maxSequenceLength !== undefined
-            && sequence.length > this.#maxSequenceLength
-        ) {
-            return false;
-        }
-        return true;
+    #isOpStringError(error) {
+        return (
+            error instanceof OpStringTypeError
+            || error instanceof OpStringSyntaxError
+            || error instanceof OpStringRangeError
+            || error instanceof OpStringReferenceError
+        );
     }
 
     /**
-     * Logs the provided error based on the current `strictMode` configuration.
+     * Checks whether the value is a valid `logger`, i.e. an object with the methods `error` and
+     * `warn`.
+     * 
+     * @private
+     * @method isValidLogger
      * 
-     * @param {TypeError|SyntaxError|RangeError|ReferenceError} error - The error to be logged.
+     * @param {*} value - The value to be checked.
+     * @returns {boolean}
      */
-    #logError(error) {
-        error = `[${this.constructor.name}] ${error.name}: ${error.message}`;
-        if (this.#strictMode) {
-            console.error(error);
-        } else {
-            if (! this.#ignoreWarnings) {
-                console.warn(error);
-            }
-        }
-        // console.trace();
+    #isValidLogger(value) {
+        return (
+            typeof value === 'object'
+            && value !== null
+            && typeof value.error === 'function'
+            && typeof value.warn === 'function'
+        );
     }
 
     /**
@@ -956,30 +6171,60 @@ export default class OpString {
      * @throws {TypeError} - If the arguments are of an invalid type:
      *      - `constructor`: If the `config` parameter is empty, not a plain object or doesn't have valid keys, or if the config object properties are of an invalid type.
      *      - `insert`: If the `index` parameter is not a non-negative integer.
-     *      - `append`, `insert` and `prepend`: If the `values` parameter is not an array or an empty array.
-     *      - `remove`, `index`: If the `id` parameter is not a positive safe integer.
+     *      - `append`, `insert` and `prepend`: If the `values` parameter is not an array or an empty array, or if it contains an invalid literal object while inline numeric literals are configured.
+     *      - `remove`, `index`, `get`, `update` and `move`: If the `id` parameter is not a positive safe integer.
+     *      - `update`: If the `changes` parameter is not a non-empty plain object with the optional properties `operation` and `values`.
+     *      - `move`: If the `toIndex` parameter is not a non-negative integer.
+     *      - `find`, `filter` and `removeWhere`: If the `predicate` parameter is not a function.
+     *      - `replaceAll`: If the `symbol` or `newSymbol` parameter is not a non-empty string or an integer.
      *      - `append`, `insert`, `prepend`, `registerOperation`, `registerValue` and `registerLabel`: If the `symbol` parameter is not a string or an integer.
-     *      - `registerOperation`: If the `callback` parameter is not a function.
+     *      - `registerOperation`: If the `callback` parameter is not a function, or if the `options` parameter is not a plain object or has an invalid `arity`.
      *      - `setOperations`and `registerOperations`: If the `operations` parameter is empty or not a plain object.
-     *      - `registerValue`: If the `value` parameter is `undefined`.
+     *      - `registerValue` and `registerValueAuto`: If the `value` parameter is `undefined`.
+     *      - `registerValueAuto`: If the `options` parameter is not a plain object or has an invalid `label`.
      *      - `setValues` and `registerValues`: If the `values` parameter is empty or not a plain object.
      *      - `registerLabel`: If the `label` parameter is not a string.
      *      - `setLabels` and `registerLabels`: If the `labels` parameter is empty or not a plain object.
      *      - `getCharForValue` and `getCharCodeForValue`: If the `value` parameter is `undefined`.
      *      - `getCharForLabel` and `getCharCodeForLabel`: If the `label` parameter is `undefined`.
+     *      - `assemble`: If the `text` parameter is not a string.
+     *      - `diff`: If the `a` or `b` parameter is neither an OpString instance nor a string.
+     *      - `applyPatch`: If the `patch` parameter is not an array of valid hunks.
      *      - `setMaxSequenceLength`: If the `maxSequenceLength` parameter is not a positive safe integer.
-     *      - `execute`: If the character sequence of the current instance or the `sequence` parameter is not a string.
+     *      - `execute` and `validate`: If the character sequence of the current instance or the `sequence` parameter is not a string.
+     *      - `execute`, `executeAsync` and `createRunner`: If the `options` parameter is not a plain object, or if `options.reduce` is not a function or `options.contextArgument` is not a boolean.
+     *      - `executeAsync`: If `options.signal` is not an AbortSignal.
+     *      - `seek`: If the `index` parameter is not a non-negative integer.
+     *      - `encode`: If the `options` parameter is not a plain object, or if `options.format` is not 'base64url' or 'uint8array'.
+     *      - `decode`: If the `data` parameter is not a string or a Uint8Array.
+     *      - `importSchema`: If the `schema` parameter or its properties are of an invalid type, or if `options.operations` is not a plain object.
+     *      - `batch` and `collectDiagnostics`: If the `callback` parameter is not a function.
+     *      - `restore`: If the `snapshot` parameter is not a snapshot created via `snapshot`.
+     *      - `clone`: If the `options` parameter is not a plain object, or if `options.withSequence` is not a boolean.
+     *      - `concat`: If the `other` parameter is not an OpString instance with the same `codePointMode`, `literals` and `controlSymbols` configuration, or if `options.onConflict` is invalid.
+     *      - `on` and `off`: If the `event` parameter is not a valid event name, or if the `handler` parameter is not a function.
      * 
      * @throws {SyntaxError} - If the arguments have syntax errors:
      *      - `append`, `insert` and `prepend`: If the `values` parameter contains invalid symbols.
-     *      - `append`, `insert`, `prepend`, `registerOperation`, `registerValue` and `registerLabel`: If the `symbol` parameter is a string but not a single character.
+     *      - `append`, `insert`, `prepend`, `registerOperation`, `registerValue` and `registerLabel`: If the `symbol` parameter is an empty string.
+     *      - `append`, `insert` and `prepend`: If the `symbol` parameter or a symbol of the `values` parameter is a multi-character string that isn't a registered token.
+     *      - `replaceAll`: If the `symbol` or `newSymbol` parameter is a multi-character string that is neither a registered token nor a label.
+     *      - `registerOperation` and `registerValue`: If the `symbol` parameter is a multi-character token that is a prefix of a registered token or vice versa, or that starts with a registered single-character symbol.
+     *      - `registerOperation` and `registerValue`: If the `symbol` parameter is a single-character symbol that is a prefix of a registered token.
+     *      - `registerOperation` and `registerValue`: If the `symbol` parameter is or starts with the configured literal prefix.
      *      - `execute`: If the sequence to be executed is empty.
      * 
      * @throws {RangeError} - If the arguments are out of valid range:
      *      - `append`, `insert`, `prepend`, `registerOperation`, `registerValue` and `registerLabel`: If the `symbol` parameter is an integer but out of range.
+     *      - `append`, `insert` and `prepend`: If the number of values doesn't match the declared arity of the operation.
      *      - `execute`: If the character sequence of the current instance or the `sequence` parameter exceeds the configured `maxSequenceLength`.
+     *      - `seek`: If the `index` parameter exceeds the number of operations in the sequence.
+     *      - `importSchema`: If the version of the `schema` parameter is not supported.
      */
     #validateArguments(method, args) {
+        if (method !== 'executeMain' && method !== 'executeProvided') {
+            this.#resetDiagnostics();
+        }
         let introMsg;
         switch (method) {
             case 'constructor':
@@ -987,49 +6232,106 @@ export default class OpString {
                     if (! this.#isValidStoreObject(args[0], this.#validConfigKeys)) {
                         const validConfigKeysStr = this.#validConfigKeys.slice(0, -1).map(key => `'${key}'`).join(', ');
                         const lastValidConfigKey = this.#validConfigKeys[this.#validConfigKeys.length-1];
-                        throw new TypeError(`The 'config' parameter, if defined, must be a non-empty plain object with valid 'config' properties; these are ${validConfigKeysStr} and '${lastValidConfigKey}'.`);
+                        throw new OpStringTypeError(`The 'config' parameter, if defined, must be a non-empty plain object with valid 'config' properties; these are ${validConfigKeysStr} and '${lastValidConfigKey}'.`, 'OPSTRING_INVALID_CONFIG');
                     } else {
                         if (
                             typeof args[0].sequence !== 'undefined'
                             && typeof args[0].sequence !== 'string'
                         ) {
-                            throw new TypeError(`The 'config.sequence' property, if defined, must be a string.`);
+                            throw new OpStringTypeError(`The 'config.sequence' property, if defined, must be a string.`, 'OPSTRING_INVALID_CONFIG');
                         }
                         if (
                             typeof args[0].operations !== 'undefined'
                             && ! this.#isValidStoreObject(args[0].operations)
                         ) {
-                            throw new TypeError(`The 'config.operations' property, if defined, must be a non-empty plain object.`);
+                            throw new OpStringTypeError(`The 'config.operations' property, if defined, must be a non-empty plain object.`, 'OPSTRING_INVALID_CONFIG');
                         }
                         if (
                             typeof args[0].values !== 'undefined'
                             && ! this.#isValidStoreObject(args[0].values)
                         ) {
-                            throw new TypeError(`The 'config.values' property, if defined, must be a non-empty plain object`);
+                            throw new OpStringTypeError(`The 'config.values' property, if defined, must be a non-empty plain object`, 'OPSTRING_INVALID_CONFIG');
                         }
                         if (
                             typeof args[0].labels !== 'undefined'
                             && ! this.#isValidStoreObject(args[0].labels)
                         ) {
-                            throw new TypeError(`The 'config.labels' property, if defined, must be a non-empty plain object`);
+                            throw new OpStringTypeError(`The 'config.labels' property, if defined, must be a non-empty plain object`, 'OPSTRING_INVALID_CONFIG');
+                        }
+                        if (
+                            typeof args[0].paramTypes !== 'undefined'
+                            && ! (
+                                this.#isValidStoreObject(args[0].paramTypes)
+                                && Object.values(args[0].paramTypes).every(check => typeof check === 'function')
+                            )
+                        ) {
+                            throw new OpStringTypeError(`The 'config.paramTypes' property, if defined, must be a non-empty plain object mapping type names to functions.`, 'OPSTRING_INVALID_CONFIG');
                         }
                         if (
                             typeof args[0].maxSequenceLength !== 'undefined'
                             && ! this.#isPositiveSafeInteger(args[0].maxSequenceLength)
                         ) {
-                            throw new TypeError(`The 'config.maxSequenceLength' property, if defined, must be a positive safe integer.`);
+                            throw new OpStringTypeError(`The 'config.maxSequenceLength' property, if defined, must be a positive safe integer.`, 'OPSTRING_INVALID_CONFIG');
                         }
                         if (
                             typeof args[0].ignoreWarnings !== 'undefined'
                             && typeof args[0].ignoreWarnings !== 'boolean'
                         ) {
-                            throw new TypeError(`The 'config.ignoreWarnings' property, if defined, must be a boolean.`);
+                            throw new OpStringTypeError(`The 'config.ignoreWarnings' property, if defined, must be a boolean.`, 'OPSTRING_INVALID_CONFIG');
                         }
                         if (
                             typeof args[0].strictMode !== 'undefined'
                             && typeof args[0].strictMode !== 'boolean'
                         ) {
-                            throw new TypeError(`The 'config.strictMode' property, if defined, must be a boolean.`);
+                            throw new OpStringTypeError(`The 'config.strictMode' property, if defined, must be a boolean.`, 'OPSTRING_INVALID_CONFIG');
+                        }
+                        if (
+                            typeof args[0].codePointMode !== 'undefined'
+                            && typeof args[0].codePointMode !== 'boolean'
+                        ) {
+                            throw new OpStringTypeError(`The 'config.codePointMode' property, if defined, must be a boolean.`, 'OPSTRING_INVALID_CONFIG');
+                        }
+                        if (
+                            typeof args[0].literals !== 'undefined'
+                            && ! this.#isValidLiteralsConfig(args[0].literals)
+                        ) {
+                            throw new OpStringTypeError(`The 'config.literals' property, if defined, must be a plain object with the optional non-empty string properties 'prefix', 'terminator' and 'alphabet'. The 'alphabet' must consist of at least 2 unique characters and must not contain the 'prefix', the 'terminator', '-' or '.'.`, 'OPSTRING_INVALID_CONFIG');
+                        }
+                        if (
+                            typeof args[0].controlSymbols !== 'undefined'
+                            && ! this.#isValidControlSymbols(args[0].controlSymbols, args[0].codePointMode === true, args[0].literals)
+                        ) {
+                            throw new OpStringTypeError(`The 'config.controlSymbols' property, if defined, must be a plain object with the single character properties 'end' and at least one of 'repeat', 'define' and 'condition'. The characters must be unique, must not be digits and must not be the literal prefix.`, 'OPSTRING_INVALID_CONFIG');
+                        }
+                        if (
+                            typeof args[0].symbolAlphabet !== 'undefined'
+                            && ! this.#isValidSymbolAlphabet(args[0].symbolAlphabet, args[0].codePointMode === true)
+                        ) {
+                            throw new OpStringTypeError(`The 'config.symbolAlphabet' property, if defined, must be either 'printable', 'urlSafe', 'bmp' or a non-empty string of unique, non-digit characters within the supported range.`, 'OPSTRING_INVALID_CONFIG');
+                        }
+                        if (
+                            typeof args[0].historyDepth !== 'undefined'
+                            && ! (Number.isSafeInteger(args[0].historyDepth) && args[0].historyDepth >= 0)
+                        ) {
+                            throw new OpStringTypeError(`The 'config.historyDepth' property, if defined, must be a non-negative safe integer.`, 'OPSTRING_INVALID_CONFIG');
+                        }
+                        if (
+                            typeof args[0].logger !== 'undefined'
+                            && ! this.#isValidLogger(args[0].logger)
+                        ) {
+                            throw new OpStringTypeError(`The 'config.logger' property, if defined, must be an object with the methods 'error' and 'warn'.`, 'OPSTRING_INVALID_CONFIG');
+                        }
+                        if (
+                            typeof args[0].onError !== 'undefined'
+                            && typeof args[0].onError !== 'function'
+                        ) {
+                            throw new OpStringTypeError(`The 'config.onError' property, if defined, must be a function.`, 'OPSTRING_INVALID_CONFIG');
+                        }
+                        if (
+                            typeof args[0].errorMode !== 'undefined'
+                            && ! this.#errorModes.includes(args[0].errorMode)
+                        ) {
+                            throw new OpStringTypeError(`The 'config.errorMode' property, if defined, must be either 'log' or 'throw'.`, 'OPSTRING_INVALID_CONFIG');
                         }
                     }
                 }
@@ -1045,31 +6347,303 @@ export default class OpString {
                     typeof args[0] !== 'undefined'
                     && typeof args[0] !== 'string'
                 ) {
-                    throw new TypeError(`${introMsg} sequence must be a string.`);
+                    throw new OpStringTypeError(`${introMsg} sequence must be a string.`, 'OPSTRING_INVALID_ARGUMENT');
                 }
                 if (
                     typeof args[0] === 'string'
                     && ! this.#isSequenceLengthWithinLimit(args[0])
                 ) {
-                    throw new RangeError(`${introMsg} provided sequence exceeds the configured 'maxSequenceLength' of ${this.#maxSequenceLength} characters.`);
+                    throw new OpStringRangeError(`${introMsg} provided sequence exceeds the configured 'maxSequenceLength' of ${this.#maxSequenceLength} characters.`, 'OPSTRING_MAX_LENGTH');
                 }
                 break;
 
             case 'remove':
                 if (! this.#isPositiveSafeInteger(args[0])) {
-                    throw new TypeError(`Cannot remove operation with id '${args[0]}'. The id must be a positive safe integer.`);
+                    throw new OpStringTypeError(`Cannot remove operation with id '${args[0]}'. The id must be a positive safe integer.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'validate':
+                if (
+                    typeof args[0] !== 'undefined'
+                    && typeof args[0] !== 'string'
+                ) {
+                    throw new OpStringTypeError(`Cannot validate sequence '${args[0]}'. The sequence must be a string.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'assemble':
+                if (typeof args[0] !== 'string') {
+                    throw new OpStringTypeError(`Cannot assemble text '${args[0]}'. The text must be a string.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'diff':
+                if (! args.every(arg => arg instanceof OpString || typeof arg === 'string')) {
+                    throw new OpStringTypeError(`Cannot diff, since the 'a' and 'b' parameters must be OpString instances or strings.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'applyPatch':
+                if (! Array.isArray(args[0])) {
+                    throw new OpStringTypeError(`Cannot applyPatch, since the 'patch' parameter must be an array of hunks.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                for (let i = 0; i < args[0].length; i++) {
+                    const hunk = args[0][i];
+                    const isSymbol = (symbol) => typeof symbol === 'string' && this.#computeSymbolCharCode(symbol) !== undefined;
+                    if (
+                        ! this.#isPlainObject(hunk)
+                        || ! ['insert', 'delete', 'modify'].includes(hunk.type)
+                        || ! (Number.isSafeInteger(hunk.index) && hunk.index >= 0)
+                        || ! isSymbol(hunk.operation)
+                        || ! Array.isArray(hunk.values)
+                        || ! hunk.values.every(isSymbol)
+                        || (hunk.type === 'modify' && ! (Array.isArray(hunk.previousValues) && hunk.previousValues.every(isSymbol)))
+                    ) {
+                        throw new OpStringTypeError(`Cannot applyPatch, since the hunk at index ${i} is invalid. Each hunk must contain a 'type' of either 'insert', 'delete' or 'modify', a non-negative integer 'index', an 'operation' symbol and an array of 'values' symbols, as well as an array of 'previousValues' symbols if its type is 'modify'.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (this.#getControlType(this.#computeSymbolCharCode(hunk.operation)) !== undefined) {
+                        throw new OpStringSyntaxError(`Cannot applyPatch, since the hunk at index ${i} addresses a control-flow block, which can't be patched.`, 'OPSTRING_CONTROL_ERROR');
+                    }
+                }
+                break;
+
+            case 'get':
+            case 'update':
+            case 'move':
+                if (! this.#isPositiveSafeInteger(args[0])) {
+                    throw new OpStringTypeError(`Cannot ${method} operation with id '${args[0]}'. The id must be a positive safe integer.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (
+                    method === 'update'
+                    && ! (
+                        this.#isPlainObject(args[1])
+                        && this.#isValidStoreObject(args[1], ['operation', 'values'])
+                        && (args[1].values === undefined || Array.isArray(args[1].values))
+                    )
+                ) {
+                    throw new OpStringTypeError(`Cannot update operation with id ${args[0]}. The 'changes' parameter must be a non-empty plain object with the optional properties 'operation' and 'values', where 'values' must be an array.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (method === 'move' && ! (Number.isSafeInteger(args[1]) && args[1] >= 0)) {
+                    throw new OpStringTypeError(`Cannot move operation with id ${args[0]} to index '${args[1]}'. The index must be a non-negative integer.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'find':
+            case 'filter':
+            case 'removeWhere':
+                if (typeof args[0] !== 'function') {
+                    throw new OpStringTypeError(`Cannot ${method}, since the 'predicate' parameter must be a function.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'replaceAll':
+                for (let i = 0; i < 2; i++) {
+                    const symbolType = this.#getSymbolType(args[i]);
+                    if (
+                        symbolType === this.#symbolTypeInvalid
+                        || (symbolType === this.#symbolTypeString && args[i].length === 0)
+                    ) {
+                        throw new OpStringTypeError(`Cannot replaceAll symbol '${args[0]}' with '${args[1]}'. The symbols must be non-empty strings or integers.`, 'OPSTRING_INVALID_SYMBOL');
+                    }
+                    const charCode = this.#resolveSymbolOrLabel(args[i]);
+                    if (
+                        (this.#isMultiCharToken(charCode) && this.#operations[charCode] === undefined && this.#values[charCode] === undefined)
+                        || (typeof charCode === 'number' && ! this.#isCharCodeWithinRange(charCode))
+                    ) {
+                        throw new OpStringSyntaxError(`Cannot replaceAll symbol '${args[0]}' with '${args[1]}'. The symbol '${args[i]}' must be a single character, a character code within the range of ${this.#minCharCode} and ${this.#maxCharCode}, a registered multi-character token or a label.`, 'OPSTRING_INVALID_SYMBOL');
+                    }
+                }
+                break;
+
+            case 'restore':
+                if (
+                    ! this.#isPlainObject(args[0])
+                    || ! Array.isArray(args[0].sequenceData)
+                    || ! args[0].sequenceData.every(entry => (
+                        this.#isPlainObject(entry)
+                        && this.#isPositiveSafeInteger(entry.id)
+                        && Array.isArray(entry.values)
+                    ))
+                    || ! this.#isPositiveSafeInteger(args[0].nextId)
+                    || ! ['operations', 'arities', 'params', 'values', 'labels'].every(key => this.#isPlainObject(args[0][key]))
+                ) {
+                    throw new OpStringTypeError(`Cannot restore, since the 'snapshot' parameter must be a snapshot created via 'snapshot'.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'clone':
+                if (args[0] !== undefined) {
+                    if (! this.#isPlainObject(args[0])) {
+                        throw new OpStringTypeError(`Cannot clone, since the 'options' parameter, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (args[0].withSequence !== undefined && typeof args[0].withSequence !== 'boolean') {
+                        throw new OpStringTypeError(`Cannot clone, since the 'options.withSequence' property, if defined, must be a boolean.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                }
+                break;
+
+            case 'concat':
+                if (! (args[0] instanceof OpString)) {
+                    throw new OpStringTypeError(`Cannot concat, since the 'other' parameter must be an OpString instance.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (args[1] !== undefined) {
+                    if (! this.#isPlainObject(args[1])) {
+                        throw new OpStringTypeError(`Cannot concat, since the 'options' parameter, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (
+                        args[1].onConflict !== undefined
+                        && ! ['error', 'keep', 'overwrite', 'remap'].includes(args[1].onConflict)
+                    ) {
+                        throw new OpStringTypeError(`Cannot concat, since the 'options.onConflict' property, if defined, must be either 'error', 'keep', 'overwrite' or 'remap'.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                }
+                if (
+                    args[0].#codePointMode !== this.#codePointMode
+                    || JSON.stringify(args[0].#literals) !== JSON.stringify(this.#literals)
+                    || JSON.stringify(args[0].#controlSymbols) !== JSON.stringify(this.#controlSymbols)
+                ) {
+                    throw new OpStringTypeError(`Cannot concat, since the other instance must have the same 'codePointMode', 'literals' and 'controlSymbols' configuration.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'compress':
+                if (this.#controlSymbols === undefined || this.#controlSymbols.define === undefined) {
+                    throw new OpStringReferenceError(`Cannot compress, since the 'define' control symbol isn't configured via 'controlSymbols'.`, 'OPSTRING_CONTROL_ERROR');
+                }
+                break;
+
+            case 'generate':
+            case 'mutate':
+            case 'crossover':
+                const options = method === 'crossover' ? args[2] : args[0];
+                if (method === 'crossover') {
+                    if (! (args[1] instanceof OpString)) {
+                        throw new OpStringTypeError(`Cannot crossover, since the 'b' parameter must be an OpString instance.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    const alphabets = this.#getEncodingAlphabets();
+                    const otherAlphabets = args[1].#getEncodingAlphabets();
+                    if (
+                        this.#getEncodingMappingsKey(alphabets.operationSymbols, alphabets.valueSymbols)
+                        !== args[1].#getEncodingMappingsKey(otherAlphabets.operationSymbols, otherAlphabets.valueSymbols)
+                    ) {
+                        throw new OpStringReferenceError(`Cannot crossover, since the other instance must have the same registered operation and value symbols and the same 'controlSymbols' configuration.`, 'OPSTRING_MAPPING_MISMATCH');
+                    }
+                    if (options !== undefined && ! this.#isPlainObject(options)) {
+                        throw new OpStringTypeError(`Cannot crossover, since the 'options' parameter, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (options !== undefined && options.points !== undefined && ! this.#isPositiveSafeInteger(options.points)) {
+                        throw new OpStringTypeError(`Cannot crossover, since the 'options.points' property, if defined, must be a positive safe integer.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                } else if (! this.#isPlainObject(options)) {
+                    throw new OpStringTypeError(`Cannot ${method}, since the 'options' parameter must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (method === 'generate') {
+                    if (! Number.isSafeInteger(options.length) || options.length < 0) {
+                        throw new OpStringTypeError(`Cannot generate, since the 'options.length' property must be a non-negative safe integer.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (options.weights !== undefined) {
+                        if (! this.#isPlainObject(options.weights)) {
+                            throw new OpStringTypeError(`Cannot generate, since the 'options.weights' property, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                        }
+                        for (const [symbol, weight] of Object.entries(options.weights)) {
+                            if (typeof weight !== 'number' || ! Number.isFinite(weight) || weight < 0) {
+                                throw new OpStringTypeError(`Cannot generate, since the weight of the operation '${symbol}' must be a non-negative finite number.`, 'OPSTRING_INVALID_ARGUMENT');
+                            }
+                            if (this.#operations[this.#resolveSymbolOrLabel(symbol)] === undefined) {
+                                throw new OpStringReferenceError(`Cannot generate, since the symbol or label '${symbol}' of 'options.weights' isn't a registered operation.`, 'OPSTRING_UNKNOWN_OPERATION');
+                            }
+                        }
+                    }
+                }
+                if (method === 'mutate') {
+                    if (typeof options.rate !== 'number' || ! (options.rate >= 0 && options.rate <= 1)) {
+                        throw new OpStringTypeError(`Cannot mutate, since the 'options.rate' property must be a number between 0 and 1.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (
+                        options.kinds !== undefined
+                        && (
+                            ! Array.isArray(options.kinds)
+                            || options.kinds.length === 0
+                            || ! options.kinds.every(kind => this.#mutationKinds.includes(kind))
+                        )
+                    ) {
+                        const mutationKindsStr = this.#mutationKinds.slice(0, -1).map(kind => `'${kind}'`).join(', ');
+                        throw new OpStringTypeError(`Cannot mutate, since the 'options.kinds' property, if defined, must be a non-empty array of the kinds ${mutationKindsStr} and '${this.#mutationKinds[this.#mutationKinds.length - 1]}'.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                }
+                if (options !== undefined) {
+                    if (
+                        options.seed !== undefined
+                        && typeof options.seed !== 'string'
+                        && ! (typeof options.seed === 'number' && Number.isFinite(options.seed))
+                    ) {
+                        throw new OpStringTypeError(`Cannot ${method}, since the 'options.seed' property, if defined, must be a string or a finite number.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (options.rng !== undefined && typeof options.rng !== 'function') {
+                        throw new OpStringTypeError(`Cannot ${method}, since the 'options.rng' property, if defined, must be a function.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                }
+                break;
+
+            case 'fingerprint':
+                if (args[0] !== undefined) {
+                    if (! this.#isPlainObject(args[0])) {
+                        throw new OpStringTypeError(`Cannot fingerprint, since the 'options' parameter, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (args[0].includeMappings !== undefined && typeof args[0].includeMappings !== 'boolean') {
+                        throw new OpStringTypeError(`Cannot fingerprint, since the 'options.includeMappings' property, if defined, must be a boolean.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                }
+                break;
+
+            case 'equals':
+                if (! (args[0] instanceof OpString)) {
+                    throw new OpStringTypeError(`Cannot compare, since the 'other' parameter must be an OpString instance.`, 'OPSTRING_INVALID_ARGUMENT');
                 }
                 break;
 
             case 'index':
                 if (! this.#isPositiveSafeInteger(args[0])) {
-                    throw new TypeError(`Cannot find index for operation with id '${args[0]}'. The id must be a positive safe integer.`);
+                    throw new OpStringTypeError(`Cannot find index for operation with id '${args[0]}'. The id must be a positive safe integer.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'allocateOperation':
+                if (args[1] !== undefined) {
+                    if (! this.#isPlainObject(args[1])) {
+                        throw new OpStringTypeError(`Cannot registerOperation. The 'options' parameter, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (args[1].arity !== undefined && ! this.#isValidArity(args[1].arity)) {
+                        throw new OpStringTypeError(`Cannot registerOperation. The 'options.arity' property, if defined, must be a non-negative integer, an object with a non-negative integer 'min' and optionally a 'max' property not less than 'min', or 'variadic'.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (args[1].params !== undefined && ! this.#isValidParams(args[1].params)) {
+                        throw new OpStringTypeError(`Cannot registerOperation. The 'options.params' property, if defined, must be an array of registered type names or objects with a registered 'type' and optionally 'min', 'max', 'enum' and 'optional' properties, where optional parameters must be trailing.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (args[1].label !== undefined && typeof args[1].label !== 'string') {
+                        throw new OpStringTypeError(`Cannot registerOperation. The 'options.label' property, if defined, must be a string.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                }
+                break;
+
+            case 'registerValueAuto':
+                if (typeof args[0] === 'undefined') {
+                    throw new OpStringTypeError(`Cannot registerValueAuto. The 'value' parameter cannot be undefined.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (args[1] !== undefined) {
+                    if (! this.#isPlainObject(args[1])) {
+                        throw new OpStringTypeError(`Cannot registerValueAuto. The 'options' parameter, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (args[1].label !== undefined && typeof args[1].label !== 'string') {
+                        throw new OpStringTypeError(`Cannot registerValueAuto. The 'options.label' property, if defined, must be a string.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
                 }
                 break;
 
             case 'append':
             case 'insert':
             case 'prepend':
+            case 'updateOperation':
             case 'registerOperation':
             case 'registerValue':
             case 'registerLabel':
@@ -1083,8 +6657,10 @@ export default class OpString {
                     args = [args[1], args[2], args[0]];
                 } else if (method === 'registerLabel') {
                     args = [args[1], args[0]];
+                } else if (method === 'updateOperation') {
+                    method = 'update';
                 }
-                const method_isOpSeqAction = ['append', 'insert', 'prepend'].includes(method);
+                const method_isOpSeqAction = ['append', 'insert', 'prepend', 'update'].includes(method);
                 const afterMethodString = method_isOpSeqAction ? ' operation' : '';
                 introMsg = `Cannot ${method}${afterMethodString} with symbol '${args[0]}'`;
                 /**
@@ -1095,65 +6671,144 @@ export default class OpString {
                 if (method === 'insert') {
                     const index_isNumber = typeof args[2] === 'number';
                     if (! index_isNumber || (index_isNumber && args[2] < 0)) {
-                        throw new TypeError(`${introMsg} at index '${args[2]}'. The index must be a non-negative integer.`);
+                        throw new OpStringTypeError(`${introMsg} at index '${args[2]}'. The index must be a non-negative integer.`, 'OPSTRING_INVALID_ARGUMENT');
                     }
                 } else if (method === 'registerLabel') {
                     if (typeof args[1] !== 'string') {
-                        throw new TypeError(`${introMsg}. The label must be a string.`);
+                        throw new OpStringTypeError(`${introMsg}. The label must be a string.`, 'OPSTRING_INVALID_ARGUMENT');
                     }
                 }
                 const stringOrIntegerSymbolMsg = 'symbol must be a string or an integer.';
-                const singleCharacterSymbolMsg = 'string symbol must consist of a single character.';
+                const singleCharacterSymbolMsg = 'string symbol must consist of a single character or a registered multi-character token.';
+                const isToken = symbol => this.#operations[symbol] !== undefined || this.#values[symbol] !== undefined;
                 const symbolRangeMsg = `integer symbol must be within the range of ${this.#minCharCode} and ${this.#maxCharCode}.`;
                 const symbolType = this.#getSymbolType(args[0]);
                 if (symbolType === this.#symbolTypeInvalid) {
-                    throw new TypeError(`${introMsg}. The ${stringOrIntegerSymbolMsg}`);
+                    throw new OpStringTypeError(`${introMsg}. The ${stringOrIntegerSymbolMsg}`, 'OPSTRING_INVALID_SYMBOL');
                 }
-                if (symbolType === this.#symbolTypeString && args[0].length !== 1) {
-                    throw new SyntaxError(`${introMsg}. A ${singleCharacterSymbolMsg}`);
+                if (symbolType === this.#symbolTypeString && args[0].length === 0) {
+                    throw new OpStringSyntaxError(`${introMsg}. A string symbol must not be empty.`, 'OPSTRING_INVALID_SYMBOL');
+                } else if (this.#isMultiCharToken(args[0])) {
+                    if (method_isOpSeqAction && ! isToken(args[0])) {
+                        throw new OpStringSyntaxError(`${introMsg}. A ${singleCharacterSymbolMsg}`, 'OPSTRING_INVALID_SYMBOL');
+                    }
+                    if (['registerOperation', 'registerValue'].includes(method)) {
+                        if (this.#literals !== undefined && args[0].startsWith(this.#literals.prefix)) {
+                            throw new OpStringSyntaxError(`${introMsg}. The token conflicts with the literal prefix '${this.#literals.prefix}'.`, 'OPSTRING_SYMBOL_CONFLICT');
+                        }
+                        const conflictingSymbol = this.#findTokenConflict(args[0]);
+                        if (conflictingSymbol !== undefined) {
+                            throw new OpStringSyntaxError(`${introMsg}. The token conflicts with the registered symbol '${conflictingSymbol}', since one is a prefix of the other.`, 'OPSTRING_SYMBOL_CONFLICT');
+                        }
+                    }
                 } else if (
                     symbolType === this.#symbolTypeInteger
                     && ! this.#isCharCodeWithinRange(args[0])
                 ) {
-                    throw new RangeError(`${introMsg}. An ${symbolRangeMsg}`);
+                    throw new OpStringRangeError(`${introMsg}. An ${symbolRangeMsg}`, 'OPSTRING_INVALID_SYMBOL');
+                } else if (
+                    ['registerOperation', 'registerValue'].includes(method)
+                    && this.#literals !== undefined
+                    && this.#computeChar(this.#computeCharCode(args[0])) === this.#literals.prefix
+                ) {
+                    throw new OpStringSyntaxError(`${introMsg}. The symbol is reserved as the literal prefix.`, 'OPSTRING_SYMBOL_CONFLICT');
+                }
+                if (['registerOperation', 'registerValue'].includes(method) && ! this.#isMultiCharToken(args[0])) {
+                    const conflictingToken = this.#findTokenConflict(args[0]);
+                    if (conflictingToken !== undefined) {
+                        throw new OpStringSyntaxError(`${introMsg}. The symbol conflicts with the registered token '${conflictingToken}', since it is a prefix of it.`, 'OPSTRING_SYMBOL_CONFLICT');
+                    }
+                }
+                if (method !== 'registerLabel' && this.#getControlType(this.#computeCharCode(args[0])) !== undefined) {
+                    const afterReservedMsg = method_isOpSeqAction ? `, and control-flow blocks can only be created via 'setSequence'` : '';
+                    throw new OpStringSyntaxError(`${introMsg}. The symbol is reserved as control symbol${afterReservedMsg}.`, 'OPSTRING_SYMBOL_CONFLICT');
                 }
                 if (method_isOpSeqAction) {
                     if (args[1] !== undefined) {
                         const values_isArray = Array.isArray(args[1]);
                         if (! values_isArray || (values_isArray && args[1].length === 0)) {
-                            throw new TypeError(`${introMsg}. The 'values' parameter must be an non-empty array.`);
+                            throw new OpStringTypeError(`${introMsg}. The 'values' parameter must be an non-empty array.`, 'OPSTRING_INVALID_ARGUMENT');
                         }
                         const afterIntroMsg = ` and values '${args[1]}'. The 'values' array contains an invalid symbol. Each `;
                         for (let i = 0; i < args[1].length; i++) {
+                            if (this.#literals !== undefined && this.#isPlainObject(args[1][i])) {
+                                if (! this.#isLiteralObject(args[1][i])) {
+                                    throw new OpStringTypeError(`${introMsg} and values '${JSON.stringify(args[1])}'. The 'values' array contains an invalid literal. Each literal object must contain nothing but a finite number as 'literal' property.`, 'OPSTRING_INVALID_ARGUMENT');
+                                }
+                                continue;
+                            }
+                            if (this.#decodeLiteral(args[1][i]) !== undefined) {
+                                continue;
+                            }
                             const symbolType = this.#getSymbolType(args[1][i]);
                             if (symbolType === this.#symbolTypeInvalid) {
-                                throw new TypeError(`${introMsg}${afterIntroMsg}${stringOrIntegerSymbolMsg}`);
+                                throw new OpStringTypeError(`${introMsg}${afterIntroMsg}${stringOrIntegerSymbolMsg}`, 'OPSTRING_INVALID_SYMBOL');
                             }
                             if (
                                 symbolType === this.#symbolTypeString
-                                && args[1][i].length !== 1
+                                && (args[1][i].length === 0 || (this.#isMultiCharToken(args[1][i]) && ! isToken(args[1][i])))
                             ) {
-                                throw new SyntaxError(`${introMsg}${afterIntroMsg}${singleCharacterSymbolMsg}`);
+                                throw new OpStringSyntaxError(`${introMsg}${afterIntroMsg}${singleCharacterSymbolMsg}`, 'OPSTRING_INVALID_SYMBOL');
                             } else if (
                                 symbolType === this.#symbolTypeInteger
                                 && ! this.#isCharCodeWithinRange(args[1][i])
                             ) {
-                                throw new RangeError(`${introMsg}${afterIntroMsg}${symbolRangeMsg}`);
+                                throw new OpStringRangeError(`${introMsg}${afterIntroMsg}${symbolRangeMsg}`, 'OPSTRING_INVALID_SYMBOL');
+                            }
+                            if (this.#getControlType(this.#computeCharCode(args[1][i])) !== undefined) {
+                                throw new OpStringSyntaxError(`${introMsg} and values '${args[1]}'. The 'values' array contains a control symbol.`, 'OPSTRING_SYMBOL_CONFLICT');
                             }
                         }
                     }
+                    const arity = this.#arities[this.#computeCharCode(args[0])];
+                    const valuesCount = args[1] !== undefined ? args[1].length : 0;
+                    if (
+                        arity !== undefined
+                        && (valuesCount < arity.min || valuesCount > arity.max)
+                    ) {
+                        throw new OpStringRangeError(`${introMsg}. The operation expects ${this.#describeArity(arity)} values, but received ${valuesCount}.`, 'OPSTRING_ARITY_MISMATCH');
+                    }
+                    const charCode = this.#computeCharCode(args[0]);
+                    this.#checkParams(
+                        charCode,
+                        this.#resolveValues(this.#computeCharCodes(args[1]), charCode),
+                        `${method}${afterMethodString} with symbol '${args[0]}'`
+                    );
                 }
                 if (method === 'registerOperation') {
                     if (typeof args[1] !== 'function') {
-                        throw new TypeError(`${introMsg}. The 'callback' parameter must be a function.`);
+                        throw new OpStringTypeError(`${introMsg}. The 'callback' parameter must be a function.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (args[2] !== undefined) {
+                        if (! this.#isPlainObject(args[2])) {
+                            throw new OpStringTypeError(`${introMsg}. The 'options' parameter, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                        }
+                        if (args[2].arity !== undefined && ! this.#isValidArity(args[2].arity)) {
+                            throw new OpStringTypeError(`${introMsg}. The 'options.arity' property, if defined, must be a non-negative integer, an object with a non-negative integer 'min' and optionally a 'max' property not less than 'min', or 'variadic'.`, 'OPSTRING_INVALID_ARGUMENT');
+                        }
+                        if (args[2].params !== undefined && ! this.#isValidParams(args[2].params)) {
+                            throw new OpStringTypeError(`${introMsg}. The 'options.params' property, if defined, must be an array of registered type names or objects with a registered 'type' and optionally 'min', 'max', 'enum' and 'optional' properties, where optional parameters must be trailing.`, 'OPSTRING_INVALID_ARGUMENT');
+                        }
+                        if (args[2].label !== undefined && typeof args[2].label !== 'string') {
+                            throw new OpStringTypeError(`${introMsg}. The 'options.label' property, if defined, must be a string.`, 'OPSTRING_INVALID_ARGUMENT');
+                        }
                     }
                 } else if (method === 'registerValue') {
                     if (typeof args[1] === 'undefined') {
-                        throw new TypeError(`${introMsg}. The 'value' parameter cannot be undefined.`);
+                        throw new OpStringTypeError(`${introMsg}. The 'value' parameter cannot be undefined.`, 'OPSTRING_INVALID_ARGUMENT');
                     }
                 }
                 break;
 
+            case 'registerParamType':
+                if (typeof args[0] !== 'string' || args[0].length === 0) {
+                    throw new OpStringTypeError(`Cannot registerParamType '${args[0]}'. The name must be a non-empty string.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (typeof args[1] !== 'function') {
+                    throw new OpStringTypeError(`Cannot registerParamType '${args[0]}'. The 'check' parameter must be a function.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
             case 'setOperations':
             case 'registerOperations':
             case 'setValues':
@@ -1168,7 +6823,7 @@ export default class OpString {
                     registerParamName = 'labels';
                 }
                 if (! this.#isValidStoreObject(args[0])) {
-                    throw new TypeError(`Cannot ${method}, since the '${registerParamName}' parameter must be a non-empty plain object.`);
+                    throw new OpStringTypeError(`Cannot ${method}, since the '${registerParamName}' parameter must be a non-empty plain object.`, 'OPSTRING_INVALID_ARGUMENT');
                 }
                 break;
 
@@ -1178,13 +6833,101 @@ export default class OpString {
             case 'getCharCodeForLabel':
                 const suffix = method.slice(-5);
                 if (args[0] === undefined) {
-                    throw new TypeError(`Cannot get character${method === `getCharFor${suffix}` ? '' : ' code'} for undefined ${suffix.toLowerCase()}.`);
+                    throw new OpStringTypeError(`Cannot get character${method === `getCharFor${suffix}` ? '' : ' code'} for undefined ${suffix.toLowerCase()}.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'encode':
+                if (args[0] !== undefined) {
+                    if (! this.#isPlainObject(args[0])) {
+                        throw new OpStringTypeError(`Cannot encode, since the 'options' parameter, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (
+                        args[0].format !== undefined
+                        && ! ['base64url', 'uint8array'].includes(args[0].format)
+                    ) {
+                        throw new OpStringTypeError(`Cannot encode, since the 'options.format' property, if defined, must be either 'base64url' or 'uint8array'.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                }
+                break;
+
+            case 'decode':
+                if (typeof args[0] !== 'string' && ! (args[0] instanceof Uint8Array)) {
+                    throw new OpStringTypeError(`Cannot decode, since the 'data' parameter must be a string or a Uint8Array.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'importSchema':
+                if (! this.#isPlainObject(args[0])) {
+                    throw new OpStringTypeError(`Cannot importSchema, since the 'schema' parameter must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (args[0].version !== this.#schemaVersion) {
+                    throw new OpStringRangeError(`Cannot importSchema with version '${args[0].version}'. The supported schema version is ${this.#schemaVersion}.`, 'OPSTRING_UNSUPPORTED_VERSION');
+                }
+                if (
+                    ! this.#isPlainObject(args[0].operations)
+                    || ! this.#isPlainObject(args[0].values)
+                    || ! this.#isPlainObject(args[0].labels)
+                ) {
+                    throw new OpStringTypeError(`Cannot importSchema, since the 'schema.operations', 'schema.values' and 'schema.labels' properties must be plain objects.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                for (const [symbol, operation] of Object.entries(args[0].operations)) {
+                    if (
+                        ! this.#isPlainObject(operation)
+                        || (operation.arity !== undefined && ! this.#isValidArity(operation.arity))
+                        || (operation.params !== undefined && ! this.#isValidParams(operation.params))
+                    ) {
+                        throw new OpStringTypeError(`Cannot importSchema, since the operation with symbol '${symbol}' must be a plain object with an optional valid 'arity' and optional valid 'params'.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                }
+                if (
+                    args[0].maxSequenceLength !== undefined
+                    && ! this.#isPositiveSafeInteger(args[0].maxSequenceLength)
+                ) {
+                    throw new OpStringTypeError(`Cannot importSchema, since the 'schema.maxSequenceLength' property, if defined, must be a positive safe integer.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (
+                    args[0].literals !== undefined
+                    && ! this.#isValidLiteralsConfig(args[0].literals)
+                ) {
+                    throw new OpStringTypeError(`Cannot importSchema, since the 'schema.literals' property, if defined, must be a valid 'literals' configuration.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (
+                    args[0].controlSymbols !== undefined
+                    && ! this.#isValidControlSymbols(args[0].controlSymbols, args[0].codePointMode === true, args[0].literals)
+                ) {
+                    throw new OpStringTypeError(`Cannot importSchema, since the 'schema.controlSymbols' property, if defined, must be a valid 'controlSymbols' configuration.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (! this.#isPlainObject(args[1]) || ! this.#isPlainObject(args[1].operations)) {
+                    throw new OpStringTypeError(`Cannot importSchema, since the 'options.operations' property must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'batch':
+            case 'collectDiagnostics':
+                if (typeof args[0] !== 'function') {
+                    throw new OpStringTypeError(`Cannot ${method}, since the 'callback' parameter must be a function.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                break;
+
+            case 'on':
+            case 'off':
+                introMsg = `Cannot ${method === 'on' ? 'register' : 'remove'} handler for event '${args[0]}'`;
+                if (! this.#eventNames.includes(args[0])) {
+                    const eventNamesStr = this.#eventNames.map(event => `'${event}'`).join(', ');
+                    throw new OpStringTypeError(`${introMsg}. The event must be one of ${eventNamesStr}.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (
+                    (method === 'on' || args[1] !== undefined)
+                    && typeof args[1] !== 'function'
+                ) {
+                    throw new OpStringTypeError(`${introMsg}. The 'handler' parameter must be a function.`, 'OPSTRING_INVALID_ARGUMENT');
                 }
                 break;
 
             case 'setMaxSequenceLength':
                 if (! this.#isPositiveSafeInteger(args[0])) {
-                    throw new TypeError(`Cannot ${method}, since the 'maxSequenceLength' parameter must be a positive safe integer.`);
+                    throw new OpStringTypeError(`Cannot ${method}, since the 'maxSequenceLength' parameter must be a positive safe integer.`, 'OPSTRING_INVALID_ARGUMENT');
                 }
                 break;
 
@@ -1201,14 +6944,52 @@ export default class OpString {
                     typeof args[0] !== 'undefined'
                     && typeof args[0] !== 'string'
                 ) {
-                    throw new TypeError(`${introMsg} sequence must be a string.`);
+                    throw new OpStringTypeError(`${introMsg} sequence must be a string.`, 'OPSTRING_INVALID_ARGUMENT');
                 }
                 if (typeof args[0] === 'string') {
                     if (args[0].length === 0) {
-                        throw new SyntaxError(`Cannot execute empty sequence.`);
+                        throw new OpStringSyntaxError(`Cannot execute empty sequence.`, 'OPSTRING_EMPTY_SEQUENCE');
                     }
                     else if (! this.#isSequenceLengthWithinLimit(args[0])) {
-                        throw new RangeError(`${introMsg}${sequenceType} sequence exceeds the configured 'maxSequenceLength' of ${this.#maxSequenceLength} characters.`);
+                        throw new OpStringRangeError(`${introMsg}${sequenceType} sequence exceeds the configured 'maxSequenceLength' of ${this.#maxSequenceLength} characters.`, 'OPSTRING_MAX_LENGTH');
+                    }
+                }
+                break;
+
+            case 'seek':
+                if (! Number.isSafeInteger(args[0]) || args[0] < 0) {
+                    throw new OpStringTypeError(`Cannot seek to index '${args[0]}'. The index must be a non-negative integer.`, 'OPSTRING_INVALID_ARGUMENT');
+                }
+                if (args[0] > this.#sequenceData.length) {
+                    throw new OpStringRangeError(`Cannot seek to index ${args[0]}, since the sequence only contains ${this.#sequenceData.length} operations.`, 'OPSTRING_INDEX_OUT_OF_RANGE');
+                }
+                break;
+
+            case 'executeOptions':
+            case 'executeAsync':
+                if (args[0] !== undefined) {
+                    const executeMethod = method === 'executeAsync' ? method : 'execute';
+                    if (! this.#isPlainObject(args[0])) {
+                        throw new OpStringTypeError(`Cannot ${executeMethod}, since the 'options' parameter, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (args[0].flags !== undefined && ! this.#isPlainObject(args[0].flags)) {
+                        throw new OpStringTypeError(`Cannot ${executeMethod}, since the 'options.flags' property, if defined, must be a plain object.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (args[0].reduce !== undefined && typeof args[0].reduce !== 'function') {
+                        throw new OpStringTypeError(`Cannot ${executeMethod}, since the 'options.reduce' property, if defined, must be a function.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (
+                        args[0].contextArgument !== undefined
+                        && typeof args[0].contextArgument !== 'boolean'
+                    ) {
+                        throw new OpStringTypeError(`Cannot ${executeMethod}, since the 'options.contextArgument' property, if defined, must be a boolean.`, 'OPSTRING_INVALID_ARGUMENT');
+                    }
+                    if (
+                        method === 'executeAsync'
+                        && args[0].signal !== undefined
+                        && (args[0].signal === null || typeof args[0].signal.aborted !== 'boolean')
+                    ) {
+                        throw new OpStringTypeError(`Cannot executeAsync, since the 'options.signal' property, if defined, must be an AbortSignal.`, 'OPSTRING_INVALID_ARGUMENT');
                     }
                 }
                 break;
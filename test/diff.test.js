@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OpString from '../index.js';
+
+// NOTE: Reported errors are checked via the diagnostics instead of being logged.
+const logger = { error: () => {}, warn: () => {} };
+
+const createOpString = (sequence) => new OpString({
+    logger,
+    operations: { A: () => {}, B: () => {}, C: () => {} },
+    values: { a: 1, b: 2, c: 3 },
+    sequence,
+});
+
+test('diff returns the hunks turning one sequence into another', () => {
+    const opString = createOpString('AabBcCa');
+    assert.deepEqual(OpString.diff(opString, 'AabBaCaAc'), [
+        { type: 'modify', index: 1, operation: 'B', values: ['a'], previousValues: ['c'] },
+        { type: 'insert', index: 3, operation: 'A', values: ['c'] },
+    ]);
+    assert.deepEqual(OpString.diff(opString, opString), []);
+});
+
+test('applyPatch applies the hunks created via diff', () => {
+    const sequences = ['', 'Aa', 'AabBcCa', 'CaCbCcAaBb', 'BaBaBaBa', 'AcBcCcAbBbCb'];
+    for (const from of sequences) {
+        for (const to of sequences) {
+            const opString = createOpString(from);
+            assert.equal(opString.applyPatch(OpString.diff(opString, to)), true);
+            assert.equal(opString.getSequence(), to);
+        }
+    }
+});
+
+test('applyPatch rejects conflicting patches without applying any hunk', () => {
+    const opString = createOpString('AabB');
+    const patch = OpString.diff(opString, 'AcBCa');
+    opString.setSequence('BaAb');
+    assert.equal(opString.applyPatch(patch), false);
+    assert.equal(opString.getDiagnostics()[0].code, 'OPSTRING_PATCH_CONFLICT');
+    assert.equal(opString.getSequence(), 'BaAb');
+});
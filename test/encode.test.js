@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OpString from '../index.js';
+
+// NOTE: Reported errors are checked via the diagnostics instead of being logged.
+const logger = { error: () => {}, warn: () => {} };
+
+const createOpString = (sequence) => new OpString({
+    logger,
+    operations: { A: () => {}, B: () => {} },
+    values: { a: 30, b: 20, c: 55 },
+    sequence,
+});
+
+test('encode and decode round-trip the sequence', () => {
+    const opString = createOpString('AaabBabcc');
+    const encoded = opString.encode();
+    assert.equal(encoded, 'AdwHBBrWo3j89Q');
+    const decoded = createOpString();
+    assert.equal(decoded.decode(encoded), true);
+    assert.equal(decoded.getSequence(), 'AaabBabcc');
+});
+
+test('encode and decode round-trip unregistered symbols as Uint8Array', () => {
+    const opString = createOpString('AaxB一Ab');
+    const bytes = opString.encode({ format: 'uint8array' });
+    assert.ok(bytes instanceof Uint8Array);
+    const decoded = createOpString();
+    assert.equal(decoded.decode(bytes), true);
+    assert.equal(decoded.getSequence(), 'AaxB一Ab');
+});
+
+test('decode rejects data with a mismatching checksum', () => {
+    const bytes = createOpString('AaabBabcc').encode({ format: 'uint8array' });
+    bytes[3] ^= 1;
+    const decoded = createOpString('Ba');
+    assert.equal(decoded.decode(bytes), false);
+    assert.equal(decoded.getDiagnostics()[0].code, 'OPSTRING_MALFORMED_DATA');
+    assert.equal(decoded.getSequence(), 'Ba');
+});
+
+test('decode rejects data encoded with different mappings', () => {
+    const encoded = createOpString('AaabBabcc').encode();
+    const decoded = new OpString({ logger, operations: { A: () => {} }, values: { a: 30 } });
+    assert.equal(decoded.decode(encoded), false);
+    assert.equal(decoded.getDiagnostics()[0].code, 'OPSTRING_MAPPING_MISMATCH');
+});
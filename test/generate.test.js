@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OpString from '../index.js';
+
+// NOTE: Reported errors are checked via the diagnostics instead of being logged.
+const logger = { error: () => {}, warn: () => {} };
+
+const createOpString = () => new OpString({
+    logger,
+    operations: { A: (x, y) => {}, B: (x) => {}, C: () => {} },
+    values: { a: 1, b: 2, c: 3 },
+});
+
+test('generate yields the same sequence for a fixed seed', () => {
+    const opString = createOpString();
+    assert.equal(opString.generate({ length: 8, seed: 'fxhash' }), 'BaCAcbCBcCBbC');
+    assert.equal(opString.generate({ length: 8, seed: 42, weights: { A: 3, C: 0 } }), 'AaaAcbAcbAcbBbBaBaAac');
+    assert.equal(createOpString().generate({ length: 8, seed: 'fxhash' }), 'BaCAcbCBcCBbC');
+});
+
+test('generate uses the provided rng', () => {
+    const opString = createOpString();
+    assert.equal(opString.generate({ length: 3, rng: () => 0 }), 'AaaAaaAaa');
+    assert.equal(opString.generate({ length: 1, rng: () => 1 }), undefined);
+    assert.equal(opString.getDiagnostics()[0].code, 'OPSTRING_INVALID_ARGUMENT');
+});